@@ -0,0 +1,144 @@
+// lib/aircraftLookup.js
+// Registration lookups for new aircraft, in order of preference:
+//   1. a fresh entry in AirlabsLookupCache
+//   2. AirLabs itself (result is cached, and optionally kept in
+//      AircraftReference when AIRLABS_STORE_REFERENCE=true)
+//   3. if AirLabs fails: a stale cache entry, then our own RegistrationHistory
+const supabase = require("../db");
+const airlabs = require("./airlabs");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const fromFleet = (fleet, source, stale = false) => ({
+  found: true,
+  source,
+  stale,
+  aircraft_type_id: fleet.icao_type,
+  airline_code: fleet.airline_code,
+  built_year: fleet.built_year,
+  msn: fleet.msn,
+});
+
+const notFound = (source) => ({ found: false, source });
+
+const readCache = async (registration) => {
+  const { data, error } = await supabase
+    .from("AirlabsLookupCache")
+    .select("found, payload, fetched_at")
+    .eq("registration", registration)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+const writeCache = async (registration, fleet) => {
+  const { error } = await supabase.from("AirlabsLookupCache").upsert([
+    {
+      registration,
+      found: Boolean(fleet),
+      payload: fleet,
+      fetched_at: new Date().toISOString(),
+    },
+  ]);
+
+  if (error) throw error;
+};
+
+const storeReference = async (fleet) => {
+  const { error } = await supabase.from("AircraftReference").upsert([
+    {
+      registration: fleet.registration,
+      icao_type: fleet.icao_type,
+      airline_code: fleet.airline_code,
+      built_year: fleet.built_year,
+      msn: fleet.msn,
+      hex: fleet.hex,
+      source: "airlabs",
+      updated_at: new Date().toISOString(),
+    },
+  ]);
+
+  if (error) throw error;
+};
+
+/**
+ * What we already know about a registration from users' own entries.
+ */
+const lookupLocal = async (registration) => {
+  const { data, error } = await supabase
+    .from("RegistrationHistory")
+    .select("airline, SpecificAircraft ( icao_type, manufactured_date )")
+    .eq("registration", registration)
+    .order("is_current", { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  if (data.length === 0) return null;
+
+  const { airline, SpecificAircraft } = data[0];
+  const manufactured = SpecificAircraft?.manufactured_date;
+  return {
+    registration,
+    icao_type: SpecificAircraft?.icao_type || null,
+    airline_code: airline,
+    built_year: manufactured ? new Date(manufactured).getUTCFullYear() : null,
+    msn: null,
+  };
+};
+
+const createAircraftLookup = ({
+  client = airlabs,
+  ttlMs = (parseInt(process.env.AIRLABS_CACHE_TTL_HOURS) || 24 * 7) * HOUR_MS,
+  // "Not found" answers expire sooner: new airframes show up in AirLabs
+  notFoundTtlMs = 24 * HOUR_MS,
+  keepReference = process.env.AIRLABS_STORE_REFERENCE === "true",
+} = {}) => ({
+  /**
+   * beforeUpstream runs right before a (paid) AirLabs call, e.g. to enforce
+   * a quota; whatever it throws propagates.
+   */
+  lookup: async (rawRegistration, { beforeUpstream } = {}) => {
+    const registration = rawRegistration.toUpperCase();
+
+    const cached = await readCache(registration);
+    if (cached) {
+      const age = Date.now() - new Date(cached.fetched_at).getTime();
+      if (age < (cached.found ? ttlMs : notFoundTtlMs)) {
+        return cached.found
+          ? fromFleet(cached.payload, "cache")
+          : notFound("cache");
+      }
+    }
+
+    if (beforeUpstream) await beforeUpstream();
+
+    let fleet;
+    try {
+      fleet = await client.lookupFleet(registration);
+    } catch (err) {
+      console.error("AirLabs lookup failed:", err.message);
+
+      if (cached && cached.found) {
+        return fromFleet(cached.payload, "cache", true);
+      }
+      const local = await lookupLocal(registration);
+      return local ? fromFleet(local, "local") : notFound("unavailable");
+    }
+
+    // Cache/reference writes are best effort; the answer is what matters
+    try {
+      await writeCache(registration, fleet);
+      if (fleet && keepReference) await storeReference(fleet);
+    } catch (err) {
+      console.error("Failed to cache AirLabs lookup:", err.message);
+    }
+
+    return fleet ? fromFleet(fleet, "airlabs") : notFound("airlabs");
+  },
+});
+
+const aircraftLookup = createAircraftLookup();
+
+module.exports = aircraftLookup;
+module.exports.createAircraftLookup = createAircraftLookup;
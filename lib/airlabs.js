@@ -0,0 +1,56 @@
+// lib/airlabs.js
+// Thin AirLabs API client. Point AIRLABS_BASE_URL at a local stub to develop
+// or test without the paid API, or pass another client with the same
+// lookupFleet() to createAircraftLookup.
+
+const REQUEST_TIMEOUT_MS = 5000;
+
+/**
+ * Maps an AirLabs /fleets entry onto our field names.
+ */
+const normalizeFleet = (fleet) => ({
+  registration: fleet.reg_number,
+  icao_type: fleet.icao || null,
+  airline_code: fleet.airline_icao || null,
+  built_year: fleet.built ? parseInt(fleet.built) : null,
+  msn: fleet.msn || null,
+  hex: fleet.hex || null,
+  manufacturer: fleet.manufacturer || null,
+  model: fleet.model || null,
+});
+
+const createAirlabsClient = ({ baseUrl, apiKey, fetchImpl = fetch }) => ({
+  /**
+   * Resolves to the normalized fleet entry, or null when AirLabs doesn't
+   * know the registration. Throws when AirLabs is unreachable or answers
+   * with an error payload.
+   */
+  lookupFleet: async (registration) => {
+    const response = await fetchImpl(
+      `${baseUrl}/fleets?reg_number=${encodeURIComponent(registration)}&api_key=${apiKey}`,
+      { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) },
+    );
+
+    if (!response.ok) {
+      throw new Error(`AirLabs responded with HTTP ${response.status}`);
+    }
+
+    const data = await response.json();
+    if (data.error) {
+      throw new Error(
+        `AirLabs error: ${data.error.message || data.error.code || "unknown"}`,
+      );
+    }
+
+    const fleet = data.response && data.response[0];
+    return fleet ? normalizeFleet(fleet) : null;
+  },
+});
+
+const airlabs = createAirlabsClient({
+  baseUrl: process.env.AIRLABS_BASE_URL,
+  apiKey: process.env.AIRLABS_API_KEY,
+});
+
+module.exports = airlabs;
+module.exports.createAirlabsClient = createAirlabsClient;
@@ -0,0 +1,52 @@
+// lib/errors.js
+// Every error response has the shape { error, code, fields? }:
+//   error  - human readable message (kept as a string for older clients)
+//   code   - stable machine readable code, see STATUS_CODES
+//   fields - [{ field, message }] for validation failures
+
+const STATUS_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  415: "UNSUPPORTED_MEDIA_TYPE",
+  429: "TOO_MANY_REQUESTS",
+  500: "INTERNAL_ERROR",
+  502: "UPSTREAM_ERROR",
+};
+
+// Error carrying the HTTP status the route should respond with
+const httpError = (status, message, { code, fields } = {}) =>
+  Object.assign(new Error(message), {
+    name: "HttpError",
+    status,
+    code: code || STATUS_CODES[status] || STATUS_CODES[500],
+    fields,
+  });
+
+// Postgres error codes we can blame on the request. Messages from our own
+// functions (raise exception, see DB_schema_new.txt) are written for users;
+// constraint errors get a generic message instead of the raw Postgres one.
+const DB_ERRORS = {
+  22003: { status: 400, message: "Number out of range" }, // numeric_value_out_of_range
+  22007: { status: 400, message: "Invalid date" }, // invalid_datetime_format
+  22008: { status: 400, message: "Date out of range" }, // datetime_field_overflow
+  22023: { status: 400 }, // invalid_parameter_value
+  "22P02": { status: 400, message: "Invalid value" }, // invalid_text_representation
+  23503: { status: 400, message: "Referenced record does not exist" }, // foreign_key_violation
+  23505: { status: 409, message: "Record already exists" }, // unique_violation
+  P0002: { status: 404 }, // no_data_found
+};
+
+/**
+ * Wraps a Supabase/Postgres error in an httpError with a matching status.
+ */
+const fromDbError = (error) => {
+  const known = DB_ERRORS[error.code];
+  if (!known) return httpError(500, error.message);
+  return httpError(known.status, known.message || error.message);
+};
+
+module.exports = { STATUS_CODES, httpError, fromDbError };
@@ -0,0 +1,93 @@
+// lib/exif.js
+const exifr = require("exifr");
+
+const EXIF_FIELDS = [
+  "DateTimeOriginal",
+  "CreateDate",
+  "ExposureTime",
+  "FNumber",
+  "ISO",
+  "Make",
+  "Model",
+  "FocalLength",
+  "GPSLatitude",
+  "GPSLongitude",
+  "GPSLatitudeRef",
+  "GPSLongitudeRef",
+];
+
+const formatShutterSpeed = (exposureTime) => {
+  if (!exposureTime) return null;
+  if (exposureTime >= 1) return `${exposureTime}`;
+  return `1/${Math.round(1 / exposureTime)}`;
+};
+
+const formatCameraModel = (make, model) => {
+  if (!model) return make || null;
+  // Most bodies already repeat the make in the model ("Canon EOS R5")
+  if (!make || model.toLowerCase().startsWith(make.toLowerCase())) {
+    return model.trim();
+  }
+  return `${make.trim()} ${model.trim()}`;
+};
+
+/**
+ * Reads camera and GPS metadata from an image buffer. Must be called on the
+ * original upload, since sharp strips EXIF when re-encoding.
+ * Returns null for any value that isn't present in the file.
+ */
+const extractExif = async (buffer) => {
+  let tags;
+  try {
+    tags = await exifr.parse(buffer, { pick: EXIF_FIELDS, gps: true });
+  } catch (err) {
+    console.error("Failed to parse EXIF:", err.message);
+    tags = null;
+  }
+
+  if (!tags) {
+    return {
+      taken_at: null,
+      shutter_speed: null,
+      iso: null,
+      aperture: null,
+      camera_model: null,
+      focal_length: null,
+      latitude: null,
+      longitude: null,
+    };
+  }
+
+  const takenAt = tags.DateTimeOriginal || tags.CreateDate;
+
+  return {
+    taken_at: takenAt instanceof Date ? takenAt.toISOString() : null,
+    shutter_speed: formatShutterSpeed(tags.ExposureTime),
+    iso: tags.ISO ? parseInt(tags.ISO) : null,
+    aperture: tags.FNumber ? `${tags.FNumber}` : null,
+    camera_model: formatCameraModel(tags.Make, tags.Model),
+    focal_length: tags.FocalLength ? `${Math.round(tags.FocalLength)}` : null,
+    latitude: Number.isFinite(tags.latitude) ? tags.latitude : null,
+    longitude: Number.isFinite(tags.longitude) ? tags.longitude : null,
+  };
+};
+
+/**
+ * Fills any empty client-provided field with the value read from EXIF.
+ * Client values always win.
+ */
+const mergeExif = (fields, exif) => {
+  const merged = { ...fields };
+  for (const [key, value] of Object.entries(exif)) {
+    if (
+      merged[key] === undefined ||
+      merged[key] === null ||
+      merged[key] === ""
+    ) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+};
+
+module.exports = { extractExif, mergeExif };
@@ -0,0 +1,83 @@
+// lib/images.js
+const sharp = require("sharp");
+const { httpError } = require("./errors");
+
+// Every upload is stored in each of these sizes. `full` keeps JPEG so older
+// clients reading image_url still get a universally supported format.
+const RENDITIONS = [
+  {
+    name: "thumbnail",
+    width: 320,
+    ext: "webp",
+    contentType: "image/webp",
+    encode: (img) => img.webp({ quality: 70 }),
+  },
+  {
+    name: "medium",
+    width: 960,
+    ext: "webp",
+    contentType: "image/webp",
+    encode: (img) => img.webp({ quality: 78 }),
+  },
+  {
+    name: "full",
+    width: 1920,
+    ext: "jpg",
+    contentType: "image/jpeg",
+    // Resize to ensure it's under ~500KB (heuristic: 1920px max width, 80% quality)
+    encode: (img) => img.jpeg({ quality: 80, mozjpeg: true }),
+  },
+];
+
+/**
+ * Predictable object key for a rendition, e.g.
+ * photos/12/ab34…_thumbnail.webp. The full size keeps the original
+ * photos/<user>/<name>.jpg layout.
+ */
+const renditionKey = (userId, baseName, rendition) => {
+  const suffix = rendition.name === "full" ? "" : `_${rendition.name}`;
+  return `photos/${userId}/${baseName}${suffix}.${rendition.ext}`;
+};
+
+/**
+ * Throws a 400 unless sharp can decode the buffer, so a file that only
+ * claims to be an image fails as bad input rather than deep in the encode.
+ */
+const assertImage = async (buffer) => {
+  try {
+    await sharp(buffer).metadata();
+  } catch (err) {
+    throw httpError(400, "File is not a supported image.");
+  }
+};
+
+/**
+ * Encodes every rendition of the source image.
+ * Resolves to [{ name, key, buffer, contentType }].
+ */
+const renderRenditions = async (sourceBuffer, userId, baseName) => {
+  const source = sharp(sourceBuffer);
+  const results = [];
+
+  // Sequential so only one encode holds memory at a time
+  for (const rendition of RENDITIONS) {
+    const buffer = await rendition
+      .encode(
+        source
+          .clone()
+          .resize({ width: rendition.width, withoutEnlargement: true }),
+      )
+      .toBuffer();
+
+    results.push({
+      name: rendition.name,
+      key: renditionKey(userId, baseName, rendition),
+      buffer,
+      contentType: rendition.contentType,
+    });
+  }
+
+  return results;
+};
+
+module.exports = { RENDITIONS, renditionKey, assertImage, renderRenditions };
@@ -0,0 +1,86 @@
+// lib/loginLockout.js
+// Progressive lockout per username after repeated failed logins. Every
+// LOGIN_LOCKOUT_THRESHOLD consecutive failures lock the account for twice as
+// long as the previous lockout, starting at LOGIN_LOCKOUT_BASE_SECONDS and
+// capped at LOGIN_LOCKOUT_MAX_SECONDS. A successful login clears it all.
+// Kept in memory, like the rate limit counters.
+
+const THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const BASE_MS = (parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60) * 1000;
+const MAX_MS = (parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 3600) * 1000;
+// Failures older than this no longer count towards a lockout
+const FORGET_AFTER_MS = 24 * 60 * 60 * 1000;
+
+const attempts = new Map(); // username -> { failures, lockouts, lockedUntil, lastFailureAt }
+
+// Forget stale usernames so failed guesses don't accumulate forever
+const sweep = setInterval(
+  () => {
+    const now = Date.now();
+    for (const [key, entry] of attempts) {
+      if (
+        entry.lockedUntil <= now &&
+        now - entry.lastFailureAt > FORGET_AFTER_MS
+      ) {
+        attempts.delete(key);
+      }
+    }
+  },
+  60 * 60 * 1000,
+);
+sweep.unref();
+
+const keyFor = (username) => String(username).trim().toLowerCase();
+
+/**
+ * Milliseconds until the username may try again, or 0 if it isn't locked.
+ */
+const getLockoutRemaining = (username) => {
+  const entry = attempts.get(keyFor(username));
+  if (!entry) return 0;
+
+  if (Date.now() - entry.lastFailureAt > FORGET_AFTER_MS) {
+    attempts.delete(keyFor(username));
+    return 0;
+  }
+
+  return Math.max(0, entry.lockedUntil - Date.now());
+};
+
+/**
+ * Records a failed login. Returns the new lockout length in ms when this
+ * failure triggered one, otherwise 0.
+ */
+const recordLoginFailure = (username) => {
+  const key = keyFor(username);
+  const entry = attempts.get(key) || {
+    failures: 0,
+    lockouts: 0,
+    lockedUntil: 0,
+    lastFailureAt: 0,
+  };
+
+  entry.failures += 1;
+  entry.lastFailureAt = Date.now();
+
+  let lockoutMs = 0;
+  if (entry.failures >= THRESHOLD) {
+    lockoutMs = Math.min(BASE_MS * 2 ** entry.lockouts, MAX_MS);
+    entry.lockouts += 1;
+    entry.failures = 0;
+    entry.lockedUntil = Date.now() + lockoutMs;
+  }
+
+  attempts.set(key, entry);
+  return lockoutMs;
+};
+
+const clearLoginFailures = (username) => {
+  attempts.delete(keyFor(username));
+};
+
+module.exports = {
+  getLockoutRemaining,
+  recordLoginFailure,
+  clearLoginFailures,
+};
@@ -0,0 +1,228 @@
+// lib/photoQuery.js
+// Shared Photo select/filter helpers for the private and public photo routes.
+const {
+  z,
+  optional,
+  json,
+  list,
+  dateString,
+  icaoAirport,
+} = require("./validation");
+const { httpError } = require("./errors");
+
+const BASE_SELECT = `
+  *,
+  Airport ( name, icao_code ),
+  AirportSubmission ( name, icao_code, status ),
+  RegistrationHistory!inner (
+    registration,
+    airline,
+    is_current,
+    SpecificAircraft!inner (
+      manufactured_date,
+      AircraftType!inner ( icao_type, manufacturer, type, variant )
+    )
+  )
+`;
+
+const optionalBoolean = optional(
+  z.enum(["true", "false"]).transform((value) => value === "true"),
+);
+
+/**
+ * The filter grammar shared by /my-photos, /my-photos/random and the count
+ * endpoints. Lists accept a JSON array or a comma separated string.
+ */
+const photoFiltersSchema = z.object({
+  search: optional(z.string().trim().max(20)).default(""),
+  aircraftTypeFilter: optional(json(z.array(z.string()))).default([]),
+  airline: optional(list(z.string().trim().toUpperCase())).default([]),
+  airport: optional(list(icaoAirport)).default([]),
+  manufacturer: optional(list(z.string().trim().min(1))).default([]),
+  taken_from: optional(dateString),
+  taken_to: optional(dateString),
+  camera_model: optional(z.string().trim().max(100)),
+  focal_min: optional(z.coerce.number().int().min(0)),
+  focal_max: optional(z.coerce.number().int().min(0)),
+  is_current: optionalBoolean,
+});
+
+// ?sort= values; `order` (asc|desc) overrides each one's default direction.
+// Cursor pagination needs the column on Photo itself, so the registration
+// sort only pages by offset.
+const PHOTO_SORTS = {
+  taken_at: { column: "taken_at", ascending: false, cursor: true },
+  created_at: { column: "created_at", ascending: false, cursor: true },
+  registration: {
+    column: "RegistrationHistory(registration)",
+    ascending: true,
+    cursor: false,
+  },
+  airport: { column: "airport_code", ascending: true, cursor: true },
+};
+
+const sortDirection = (sort, order) =>
+  order ? order === "asc" : PHOTO_SORTS[sort].ascending;
+
+const escapeLike = (value) => value.replace(/[%_\\]/g, "\\$&");
+
+/**
+ * Applies the standard filters used by both routes. `filters` is parsed by
+ * photoFiltersSchema; the query must embed RegistrationHistory,
+ * SpecificAircraft and AircraftType as !inner, like BASE_SELECT does.
+ */
+const applyPhotoFilters = (query, { userId, filters = {} }) => {
+  query = query.eq("user_id", userId);
+
+  if (filters.search) {
+    query = query.ilike(
+      "RegistrationHistory.registration",
+      `%${escapeLike(filters.search)}%`,
+    );
+  }
+
+  if (filters.aircraftTypeFilter?.length > 0) {
+    query = query.in(
+      "RegistrationHistory.SpecificAircraft.icao_type",
+      filters.aircraftTypeFilter,
+    );
+  }
+
+  if (filters.airline?.length > 0) {
+    query = query.in("RegistrationHistory.airline", filters.airline);
+  }
+
+  if (filters.airport?.length > 0) {
+    query = query.in("airport_code", filters.airport);
+  }
+
+  if (filters.manufacturer?.length > 0) {
+    query = query.in(
+      "RegistrationHistory.SpecificAircraft.AircraftType.manufacturer",
+      filters.manufacturer,
+    );
+  }
+
+  if (filters.taken_from) query = query.gte("taken_at", filters.taken_from);
+  if (filters.taken_to) query = query.lte("taken_at", filters.taken_to);
+
+  if (filters.camera_model) {
+    query = query.ilike(
+      "camera_model",
+      `%${escapeLike(filters.camera_model)}%`,
+    );
+  }
+
+  // focal_length is free text; focal_length_mm is its leading number
+  if (filters.focal_min !== undefined) {
+    query = query.gte("focal_length_mm", filters.focal_min);
+  }
+  if (filters.focal_max !== undefined) {
+    query = query.lte("focal_length_mm", filters.focal_max);
+  }
+
+  if (filters.is_current !== undefined) {
+    query = query.eq("RegistrationHistory.is_current", filters.is_current);
+  }
+
+  return query;
+};
+
+/**
+ * Orders by one of PHOTO_SORTS, with id as a tie-breaker so pages don't
+ * shuffle.
+ */
+const applyPhotoSort = (query, sort = "taken_at", order) => {
+  const direction = sortDirection(sort, order);
+
+  return query
+    .order(PHOTO_SORTS[sort].column, {
+      ascending: direction,
+      nullsFirst: false,
+    })
+    .order("id", { ascending: direction });
+};
+
+/**
+ * Opaque cursor pointing after `photo` in the given sort, or null for sorts
+ * that can't be paged by cursor.
+ */
+const encodeCursor = (photo, sort = "taken_at", order) => {
+  const { column, cursor } = PHOTO_SORTS[sort];
+  if (!cursor) return null;
+
+  const position = {
+    sort,
+    asc: sortDirection(sort, order),
+    value: photo[column] ?? null,
+    id: photo.id,
+  };
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+};
+
+/**
+ * Keeps the rows after a cursor from encodeCursor (keyset on the sort column
+ * and id, nulls last like applyPhotoSort). Throws a 400 for cursors that
+ * don't decode or were made for another sort order.
+ */
+const applyPhotoCursor = (query, cursor, sort = "taken_at", order) => {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (err) {
+    position = null;
+  }
+
+  if (!position || !Number.isInteger(position.id)) {
+    throw httpError(400, "Invalid cursor");
+  }
+  if (
+    !PHOTO_SORTS[sort].cursor ||
+    position.sort !== sort ||
+    position.asc !== sortDirection(sort, order)
+  ) {
+    throw httpError(400, "Cursor doesn't match the requested sort order");
+  }
+
+  const { column } = PHOTO_SORTS[sort];
+  const after = position.asc ? "gt" : "lt";
+
+  // Past the last non-null value only the null rows (sorted last) remain
+  if (position.value === null) {
+    return query.is(column, null)[after]("id", position.id);
+  }
+
+  const value = `"${String(position.value).replace(/"/g, '\\"')}"`;
+  return query.or(
+    `${column}.${after}.${value},` +
+      `and(${column}.eq.${value},id.${after}.${position.id}),` +
+      `${column}.is.null`,
+  );
+};
+
+/**
+ * The filter fields of a parsed query as the p_filters payload of
+ * filtered_user_photos (see DB_schema_new.txt), or null when nothing is
+ * filtered.
+ */
+const photoFiltersPayload = (query) => {
+  const payload = {};
+  for (const key of Object.keys(photoFiltersSchema.shape)) {
+    const value = query[key];
+    if (value === undefined || value === "") continue;
+    if (Array.isArray(value) && value.length === 0) continue;
+    payload[key] = value;
+  }
+  return Object.keys(payload).length > 0 ? payload : null;
+};
+
+module.exports = {
+  BASE_SELECT,
+  photoFiltersSchema,
+  PHOTO_SORTS,
+  applyPhotoFilters,
+  applyPhotoSort,
+  encodeCursor,
+  applyPhotoCursor,
+  photoFiltersPayload,
+};
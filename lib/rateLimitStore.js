@@ -0,0 +1,42 @@
+// lib/rateLimitStore.js
+// Fixed-window hit counters kept in process memory. Good enough for a single
+// API instance and local development; anything implementing increment/reset
+// with the same signatures can replace it.
+
+const createMemoryStore = ({ sweepIntervalMs = 60 * 1000 } = {}) => {
+  const windows = new Map(); // key -> { count, resetAt }
+
+  // Drop expired windows so idle keys don't pile up
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, sweepIntervalMs);
+  sweep.unref();
+
+  return {
+    /**
+     * Counts one hit for `key`. Resolves to { count, resetAt } for the
+     * window the hit landed in.
+     */
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      let window = windows.get(key);
+
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+
+      window.count += 1;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+
+    reset: async (key) => {
+      windows.delete(key);
+    },
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,205 @@
+// lib/referenceImport.js
+// Bulk import of reference data (Airport, Airline, AircraftType) from a CSV
+// or JSON dump. Each route maps the source columns onto its own create schema;
+// this module parses the upload, validates every record and upserts the valid
+// ones in batches.
+const express = require("express");
+const multer = require("multer");
+const { parse } = require("csv-parse/sync");
+const supabase = require("../db");
+const { httpError } = require("./errors");
+
+const BATCH_SIZE = 500;
+const MAX_ERRORS = 100;
+
+// A full OurAirports airports.csv is ~12MB; a JSON body gets the same room
+const IMPORT_SIZE_LIMIT = 50 * 1024 * 1024;
+
+// Parses the import upload: a multipart `file`, or a JSON body. The app-wide
+// express.json() (100kb) skips these routes, see isImportRequest, so the
+// larger JSON limit applies only after the route's auth checks.
+const importUpload = [
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMPORT_SIZE_LIMIT },
+  }).single("file"),
+  express.json({ limit: IMPORT_SIZE_LIMIT }),
+];
+
+const isImportRequest = (req) => /\/import\/?$/.test(req.path);
+
+const isJsonFile = (file) =>
+  file.mimetype === "application/json" ||
+  file.originalname.toLowerCase().endsWith(".json");
+
+const recordsFromJson = (value) => {
+  const records = Array.isArray(value) ? value : value?.rows;
+  if (!Array.isArray(records)) {
+    throw httpError(400, "Expected a JSON array of records or { rows: [] }.");
+  }
+  return records;
+};
+
+/**
+ * Records from a multipart `file` (CSV with a header row, or JSON), or from
+ * a JSON body holding an array or { rows: [] }.
+ */
+const readRecords = (req) => {
+  if (!req.file) return recordsFromJson(req.body);
+
+  const content = req.file.buffer.toString("utf8");
+  try {
+    if (isJsonFile(req.file)) return recordsFromJson(JSON.parse(content));
+    return parse(content, {
+      columns: true,
+      skip_empty_lines: true,
+      trim: true,
+      bom: true,
+    });
+  } catch (err) {
+    if (err.name === "HttpError") throw err;
+    throw httpError(400, `Could not parse import file: ${err.message}`);
+  }
+};
+
+/**
+ * Value of the first of the given column names (in that order of priority)
+ * that the record has non-empty, matched case-insensitively (dumps disagree
+ * on "Designator" vs "designator").
+ */
+const pickField = (record, ...names) => {
+  const columns = Object.entries(record);
+  for (const name of names) {
+    for (const [column, value] of columns) {
+      if (column.toLowerCase() !== name) continue;
+      if (value !== undefined && value !== null && value !== "") return value;
+    }
+  }
+  return undefined;
+};
+
+// Coordinates come back from real columns with float noise
+const sameValue = (a, b) =>
+  typeof a === "number" && typeof b === "number"
+    ? Math.abs(a - b) < 1e-4
+    : JSON.stringify(a) === JSON.stringify(b);
+
+const sameRow = (a, b, columns) =>
+  columns.every((column) => sameValue(a[column], b[column]));
+
+const fetchExisting = async (table, key, columns, keys) => {
+  const { data, error } = await supabase
+    .from(table)
+    .select([key, ...columns].join(", "))
+    .in(key, keys);
+
+  if (error) throw error;
+  return new Map(data.map((row) => [row[key], row]));
+};
+
+/**
+ * Validates and upserts records into a reference table.
+ *   table      - "Airport", "Airline" or "AircraftType"
+ *   key        - primary key column
+ *   columns    - every other column the import may set
+ *   schema     - zod schema a mapped record must pass
+ *   fromRecord - maps a source record (CSV row / JSON object) to schema input,
+ *                or returns null to skip it
+ *   dryRun     - count only, write nothing
+ * Fields a record leaves empty keep their current value. Records repeating
+ * a key already seen in the file, and ones that change nothing, are skipped.
+ * Batches commit independently, so a failing batch leaves earlier ones in.
+ * Resolves to { dry_run, total, inserted, updated, skipped, errors } where
+ * errors lists (up to MAX_ERRORS) invalid records by their 1-based row.
+ */
+const importRecords = async (
+  records,
+  { table, key, columns, schema, fromRecord, dryRun },
+) => {
+  const result = {
+    dry_run: dryRun,
+    total: records.length,
+    inserted: 0,
+    updated: 0,
+    skipped: 0,
+    errors: [],
+  };
+
+  // 1. Map and validate
+  const rows = new Map();
+  records.forEach((record, index) => {
+    const candidate = fromRecord(record);
+    if (!candidate) {
+      result.skipped++;
+      return;
+    }
+
+    const parsed = schema.safeParse(candidate);
+    if (!parsed.success) {
+      result.skipped++;
+      if (result.errors.length < MAX_ERRORS) {
+        result.errors.push({
+          row: index + 1,
+          key: candidate[key] ?? null,
+          fields: parsed.error.issues.map((issue) => ({
+            field: issue.path.join("."),
+            message: issue.message,
+          })),
+        });
+      }
+      return;
+    }
+
+    if (rows.has(parsed.data[key])) {
+      result.skipped++;
+      return;
+    }
+    rows.set(parsed.data[key], parsed.data);
+  });
+
+  // 2. Merge with the current rows and upsert, one batch at a time
+  const keys = [...rows.keys()];
+  for (let start = 0; start < keys.length; start += BATCH_SIZE) {
+    const batchKeys = keys.slice(start, start + BATCH_SIZE);
+    const existing = await fetchExisting(table, key, columns, batchKeys);
+
+    const changed = [];
+    for (const rowKey of batchKeys) {
+      const incoming = rows.get(rowKey);
+      const current = existing.get(rowKey);
+
+      const merged = { [key]: rowKey };
+      for (const column of columns) {
+        merged[column] = incoming[column] ?? current?.[column] ?? null;
+      }
+
+      if (!current) {
+        result.inserted++;
+      } else if (sameRow(current, merged, columns)) {
+        result.skipped++;
+        continue;
+      } else {
+        result.updated++;
+      }
+      changed.push(merged);
+    }
+
+    if (dryRun || changed.length === 0) continue;
+
+    const { error } = await supabase
+      .from(table)
+      .upsert(changed, { onConflict: key });
+
+    if (error) throw error;
+  }
+
+  return result;
+};
+
+module.exports = {
+  importUpload,
+  isImportRequest,
+  readRecords,
+  pickField,
+  importRecords,
+};
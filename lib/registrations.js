@@ -0,0 +1,187 @@
+// lib/registrations.js
+// National registration formats and airline inference from the Airline
+// table's reg_prefix/reg_suffix rules.
+const supabase = require("../db");
+
+const LETTERS = (n) => new RegExp(`^[A-Z]{${n}}$`);
+
+// body is matched against the registration with the prefix and every
+// non-alphanumeric character removed. `hyphen` is whether the canonical form
+// separates prefix and body ("G-EUPT" vs "N12345").
+const REGISTRATION_FORMATS = [
+  {
+    country: "United States",
+    prefix: "N",
+    // 1-5 characters, no leading zero, up to two trailing letters (not I/O)
+    body: /^[1-9](\d{0,4}|\d{0,3}[A-HJ-NP-Z]|\d{0,2}[A-HJ-NP-Z]{2})$/,
+    hyphen: false,
+  },
+  { country: "Canada", prefix: "C", body: /^[FGI][A-Z]{3}$/, hyphen: true },
+  { country: "Mexico", prefix: "XA", body: LETTERS(3), hyphen: true },
+  { country: "Mexico", prefix: "XB", body: LETTERS(3), hyphen: true },
+  { country: "Mexico", prefix: "XC", body: LETTERS(3), hyphen: true },
+  { country: "Brazil", prefix: "PP", body: LETTERS(3), hyphen: true },
+  { country: "Brazil", prefix: "PR", body: LETTERS(3), hyphen: true },
+  { country: "Brazil", prefix: "PS", body: LETTERS(3), hyphen: true },
+  { country: "Brazil", prefix: "PT", body: LETTERS(3), hyphen: true },
+  { country: "United Kingdom", prefix: "G", body: LETTERS(4), hyphen: true },
+  { country: "Germany", prefix: "D", body: LETTERS(4), hyphen: true },
+  { country: "France", prefix: "F", body: LETTERS(4), hyphen: true },
+  { country: "Italy", prefix: "I", body: LETTERS(4), hyphen: true },
+  { country: "Ireland", prefix: "EI", body: LETTERS(3), hyphen: true },
+  { country: "Spain", prefix: "EC", body: LETTERS(3), hyphen: true },
+  { country: "Portugal", prefix: "CS", body: LETTERS(3), hyphen: true },
+  { country: "Netherlands", prefix: "PH", body: LETTERS(3), hyphen: true },
+  { country: "Belgium", prefix: "OO", body: LETTERS(3), hyphen: true },
+  { country: "Switzerland", prefix: "HB", body: LETTERS(3), hyphen: true },
+  { country: "Austria", prefix: "OE", body: LETTERS(3), hyphen: true },
+  { country: "Denmark", prefix: "OY", body: LETTERS(3), hyphen: true },
+  { country: "Norway", prefix: "LN", body: LETTERS(3), hyphen: true },
+  { country: "Sweden", prefix: "SE", body: LETTERS(3), hyphen: true },
+  { country: "Finland", prefix: "OH", body: LETTERS(3), hyphen: true },
+  { country: "Poland", prefix: "SP", body: LETTERS(3), hyphen: true },
+  { country: "Turkey", prefix: "TC", body: LETTERS(3), hyphen: true },
+  { country: "Russia", prefix: "RA", body: /^\d{5}$/, hyphen: true },
+  {
+    country: "United Arab Emirates",
+    prefix: "A6",
+    body: LETTERS(3),
+    hyphen: true,
+  },
+  { country: "Qatar", prefix: "A7", body: LETTERS(3), hyphen: true },
+  { country: "India", prefix: "VT", body: LETTERS(3), hyphen: true },
+  { country: "Singapore", prefix: "9V", body: LETTERS(3), hyphen: true },
+  { country: "Hong Kong", prefix: "B", body: /^[HKL][A-Z]{2}$/, hyphen: true },
+  { country: "Taiwan", prefix: "B", body: /^\d{5}$/, hyphen: true },
+  { country: "China", prefix: "B", body: /^\d{3}[\dA-Z]$/, hyphen: true },
+  {
+    country: "Japan",
+    prefix: "JA",
+    body: /^(\d{4}|\d{3}[A-Z]|\d{2}[A-Z]{2})$/,
+    hyphen: false,
+  },
+  { country: "South Korea", prefix: "HL", body: /^\d{4}$/, hyphen: false },
+  { country: "Australia", prefix: "VH", body: LETTERS(3), hyphen: true },
+  { country: "New Zealand", prefix: "ZK", body: LETTERS(3), hyphen: true },
+];
+
+/**
+ * Uppercased registration with everything but letters and digits removed,
+ * so "g-eupt" and "G EUPT" compare equal.
+ */
+const compactRegistration = (registration) =>
+  (registration || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+/**
+ * Checks a registration against the known national formats.
+ * Returns { valid, country, registration } where registration is the
+ * canonical spelling ("GEUPT" -> "G-EUPT") when a format matched, or the
+ * trimmed, uppercased input when none did.
+ * A separator the user typed fixes the prefix: "DQ-FAJ" is Fiji's DQ, not a
+ * German D-QFAJ, so only input without one is split by the known prefixes.
+ */
+const checkRegistration = (registration) => {
+  const compact = compactRegistration(registration);
+  const typedPrefix = (registration || "")
+    .trim()
+    .toUpperCase()
+    .match(/^([A-Z0-9]+)[^A-Z0-9]+[A-Z0-9]/)?.[1];
+
+  for (const format of REGISTRATION_FORMATS) {
+    const prefixMatches = typedPrefix
+      ? typedPrefix === format.prefix
+      : compact.startsWith(format.prefix);
+    if (!prefixMatches) continue;
+
+    const body = compact.slice(format.prefix.length);
+    if (!format.body.test(body)) continue;
+
+    return {
+      valid: true,
+      country: format.country,
+      registration: `${format.prefix}${format.hyphen ? "-" : ""}${body}`,
+    };
+  }
+
+  return {
+    valid: false,
+    country: null,
+    registration: (registration || "").trim().toUpperCase(),
+  };
+};
+
+/**
+ * Warning for registrations that match no known national format, or null.
+ */
+const registrationWarning = (check) =>
+  check.valid
+    ? null
+    : {
+        code: "UNKNOWN_REGISTRATION_FORMAT",
+        message: `"${check.registration}" doesn't match any known national registration format.`,
+      };
+
+// Length of the longest rule the value satisfies, 0 when there are no rules
+// and -1 when none match
+const longestMatch = (rules, matches) => {
+  if (!rules || rules.length === 0) return 0;
+  const lengths = rules
+    .map(compactRegistration)
+    .filter((rule) => rule && matches(rule))
+    .map((rule) => rule.length);
+  return lengths.length > 0 ? Math.max(...lengths) : -1;
+};
+
+/**
+ * Airlines whose reg_prefix/reg_suffix rules fit the registration (e.g.
+ * prefix N + suffix DN -> Delta), most specific rule first. An airline with
+ * both lists must match one entry of each.
+ * airlines: [{ code, name, reg_prefix, reg_suffix }]
+ */
+const matchAirlines = (registration, airlines) => {
+  const compact = compactRegistration(registration);
+  if (!compact) return [];
+
+  return airlines
+    .filter(
+      (airline) => airline.reg_prefix?.length || airline.reg_suffix?.length,
+    )
+    .map((airline) => {
+      const prefix = longestMatch(airline.reg_prefix, (rule) =>
+        compact.startsWith(rule),
+      );
+      const suffix = longestMatch(airline.reg_suffix, (rule) =>
+        compact.endsWith(rule),
+      );
+      return {
+        airline,
+        score: prefix < 0 || suffix < 0 ? -1 : prefix + suffix,
+      };
+    })
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score)
+    .map(({ airline }) => ({ code: airline.code, name: airline.name }));
+};
+
+/**
+ * Loads the airlines that have registration rules and returns the ones
+ * matching the registration (see matchAirlines).
+ */
+const suggestAirlines = async (registration) => {
+  const { data, error } = await supabase
+    .from("Airline")
+    .select("code, name, reg_prefix, reg_suffix")
+    .or("reg_prefix.not.is.null,reg_suffix.not.is.null");
+
+  if (error) throw error;
+  return matchAirlines(registration, data);
+};
+
+module.exports = {
+  REGISTRATION_FORMATS,
+  compactRegistration,
+  checkRegistration,
+  registrationWarning,
+  matchAirlines,
+  suggestAirlines,
+};
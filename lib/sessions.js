@@ -0,0 +1,178 @@
+// lib/sessions.js
+// Short-lived access JWTs backed by server-side sessions. Each session holds
+// the hash of one rotating refresh token; using a refresh token replaces it,
+// and presenting an already-rotated one revokes the session (likely theft).
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const supabase = require("../db");
+const { httpError } = require("./errors");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+const newSecret = () => crypto.randomBytes(32).toString("hex");
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+const generateJWT = (user, sessionId) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      username: user.username,
+      type: user.type,
+      sid: sessionId,
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL },
+  );
+};
+
+/**
+ * Starts a session for a freshly authenticated user.
+ * Resolves to { token, refreshToken }.
+ */
+const createSession = async (user, { userAgent } = {}) => {
+  const secret = newSecret();
+
+  const { data, error } = await supabase
+    .from("Session")
+    .insert([
+      {
+        user_id: user.id,
+        refresh_token_hash: hashSecret(secret),
+        user_agent: userAgent || null,
+        expires_at: refreshExpiry().toISOString(),
+      },
+    ])
+    .select("id")
+    .single();
+
+  if (error) throw error;
+
+  return {
+    token: generateJWT(user, data.id),
+    refreshToken: `${data.id}.${secret}`,
+  };
+};
+
+/**
+ * Exchanges a refresh token for a new access token and refresh token.
+ * The access token is built from the current User row, so role changes
+ * apply on the next refresh.
+ */
+const rotateSession = async (refreshToken) => {
+  const [sessionId, secret] = (refreshToken || "").split(".");
+  if (!sessionId || !secret) {
+    throw httpError(401, "Invalid refresh token.");
+  }
+
+  const { data: session, error } = await supabase
+    .from("Session")
+    .select(
+      "id, refresh_token_hash, expires_at, revoked_at, User ( id, username, type )",
+    )
+    .eq("id", sessionId)
+    .maybeSingle();
+
+  // Malformed session ids surface as 22P02 (invalid uuid)
+  if (error && error.code !== "22P02") throw error;
+  if (!session || session.revoked_at) {
+    throw httpError(401, "Session has been revoked.");
+  }
+  if (new Date(session.expires_at) <= new Date()) {
+    throw httpError(401, "Session has expired.");
+  }
+
+  if (session.refresh_token_hash !== hashSecret(secret)) {
+    // An old refresh token was replayed: someone else may hold this session
+    await revokeSession(session.id);
+    throw httpError(401, "Session has been revoked.");
+  }
+
+  // Only swap the hash if it's still the one we checked, so two concurrent
+  // refreshes with the same token can't both succeed
+  const nextSecret = newSecret();
+  const { data: rotated, error: updateError } = await supabase
+    .from("Session")
+    .update({
+      refresh_token_hash: hashSecret(nextSecret),
+      expires_at: refreshExpiry().toISOString(),
+      last_used_at: new Date().toISOString(),
+    })
+    .eq("id", session.id)
+    .eq("refresh_token_hash", session.refresh_token_hash)
+    .is("revoked_at", null)
+    .select("id");
+
+  if (updateError) throw updateError;
+  if (rotated.length === 0) {
+    // Lost the race to another use of the same token: treat it as reuse
+    await revokeSession(session.id);
+    throw httpError(401, "Session has been revoked.");
+  }
+
+  return {
+    token: generateJWT(session.User, session.id),
+    refreshToken: `${session.id}.${nextSecret}`,
+  };
+};
+
+const revokeSession = async (sessionId) => {
+  const { error } = await supabase
+    .from("Session")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("id", sessionId)
+    .is("revoked_at", null);
+
+  if (error) throw error;
+};
+
+/**
+ * Revokes every active session of a user, optionally keeping one
+ * (e.g. the session that asked for it).
+ */
+const revokeAllSessions = async (userId, { exceptSessionId } = {}) => {
+  let query = supabase
+    .from("Session")
+    .update({ revoked_at: new Date().toISOString() })
+    .eq("user_id", userId)
+    .is("revoked_at", null);
+
+  if (exceptSessionId) {
+    query = query.neq("id", exceptSessionId);
+  }
+
+  const { error } = await query;
+  if (error) throw error;
+};
+
+/**
+ * Returns the live session with its user's current role, or null when the
+ * session is unknown, revoked or expired.
+ */
+const findActiveSession = async (sessionId) => {
+  const { data, error } = await supabase
+    .from("Session")
+    .select("id, expires_at, revoked_at, User ( type )")
+    .eq("id", sessionId)
+    .maybeSingle();
+
+  if (error && error.code !== "22P02") throw error;
+  if (!data || data.revoked_at || new Date(data.expires_at) <= new Date()) {
+    return null;
+  }
+  return data;
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+  findActiveSession,
+};
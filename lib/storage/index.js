@@ -0,0 +1,90 @@
+// lib/storage/index.js
+// Object storage for photo files. Pick the backend with STORAGE_DRIVER:
+//   s3 (default) - AWS_BUCKET_NAME / AWS_REGION / AWS_ACCESS_KEY_ID / AWS_SECRET_ACCESS_KEY
+//   local        - LOCAL_STORAGE_DIR (default ./uploads), served at /uploads
+// Photos store object keys, never URLs, so URLs always come from getUrl().
+const path = require("path");
+const express = require("express");
+const createS3Storage = require("./s3");
+const createLocalStorage = require("./local");
+
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || "s3";
+
+  switch (driver) {
+    case "s3":
+      return createS3Storage({
+        bucket: process.env.AWS_BUCKET_NAME,
+        region: process.env.AWS_REGION,
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+      });
+    case "local":
+      return createLocalStorage({
+        root: path.resolve(process.env.LOCAL_STORAGE_DIR || "uploads"),
+        urlPrefix: "/uploads",
+        publicBaseUrl: process.env.PUBLIC_BASE_URL,
+      });
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+  }
+};
+
+const storage = createStorage();
+
+/**
+ * Serves stored files from the app when the backend needs it (local driver).
+ */
+const mountStatic = (app) => {
+  if (storage.name === "local") {
+    app.use(storage.urlPrefix, express.static(storage.root));
+  }
+};
+
+/**
+ * Adds resolved URLs to a Photo row: image_url for the full size and
+ * images.{thumbnail,medium,full}, built from the stored keys.
+ */
+const withImageUrls = (photo) => {
+  if (!photo) return photo;
+
+  const images = {};
+  for (const [name, key] of Object.entries(photo.images || {})) {
+    images[name] = storage.getUrl(key);
+  }
+
+  return {
+    ...photo,
+    image_url: photo.image_key ? storage.getUrl(photo.image_key) : null,
+    images,
+  };
+};
+
+/**
+ * Every storage key a Photo row points at (full size and renditions).
+ */
+const photoStorageKeys = (photo) => [
+  photo.image_key,
+  ...Object.values(photo.images || {}),
+];
+
+/**
+ * Best-effort removal of stored files. Failures are logged, never thrown,
+ * so they can't mask the error that triggered the cleanup.
+ */
+const deleteStoredFiles = async (keys) => {
+  for (const key of new Set(keys)) {
+    if (!key) continue;
+    try {
+      await storage.delete(key);
+    } catch (storageErr) {
+      console.error("Failed to delete from storage:", storageErr);
+    }
+  }
+};
+
+module.exports = storage;
+module.exports.mountStatic = mountStatic;
+module.exports.withImageUrls = withImageUrls;
+module.exports.photoStorageKeys = photoStorageKeys;
+module.exports.deleteStoredFiles = deleteStoredFiles;
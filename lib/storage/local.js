@@ -0,0 +1,41 @@
+// lib/storage/local.js
+const fs = require("fs/promises");
+const path = require("path");
+
+// Stores objects on disk under `root`. Files are served by the static route
+// server.js mounts at `urlPrefix` (see storage.mountStatic).
+const createLocalStorage = ({ root, urlPrefix, publicBaseUrl }) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    // Keys come from our own code, but never let one escape the root
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+    root,
+    urlPrefix,
+
+    put: async (key, body) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, body);
+    },
+
+    delete: async (key) => {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (err) {
+        // Deleting something that's already gone is fine (matches S3)
+        if (err.code !== "ENOENT") throw err;
+      }
+    },
+
+    getUrl: (key) => `${publicBaseUrl || ""}${urlPrefix}/${key}`,
+  };
+};
+
+module.exports = createLocalStorage;
@@ -0,0 +1,37 @@
+// lib/storage/s3.js
+const {
+  S3Client,
+  PutObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+
+const createS3Storage = ({ bucket, region, accessKeyId, secretAccessKey }) => {
+  const s3 = new S3Client({
+    region,
+    credentials: { accessKeyId, secretAccessKey },
+  });
+
+  return {
+    name: "s3",
+
+    put: async (key, body, contentType) => {
+      await s3.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+          // ACL: 'public-read' // Optional if using bucket policy
+        }),
+      );
+    },
+
+    delete: async (key) => {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    getUrl: (key) => `https://${bucket}.s3.${region}.amazonaws.com/${key}`,
+  };
+};
+
+module.exports = createS3Storage;
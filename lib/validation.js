@@ -0,0 +1,147 @@
+// lib/validation.js
+// Building blocks for the zod schemas each route declares. Query strings and
+// multipart bodies arrive as strings, so numeric fields coerce and empty
+// strings count as "not provided".
+const { z } = require("zod");
+const { VISIBILITIES } = require("./visibility");
+
+const emptyToUndefined = (value) =>
+  value === "" || value === null ? undefined : value;
+
+/**
+ * Makes a schema optional, treating "" and null like a missing value.
+ */
+const optional = (schema) => z.preprocess(emptyToUndefined, schema.optional());
+
+/**
+ * Accepts a JSON-encoded string (query param, multipart field) or an already
+ * parsed value. Malformed JSON fails the inner schema instead of throwing.
+ */
+const json = (schema) =>
+  z.preprocess((value) => {
+    if (typeof value !== "string") return value;
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      return value;
+    }
+  }, schema);
+
+/**
+ * A list given as a JSON array, a comma separated string (?airline=DL,UA)
+ * or a repeated query parameter.
+ */
+const list = (itemSchema) =>
+  z.preprocess((value) => {
+    if (typeof value !== "string") return value;
+    if (value.trim().startsWith("[")) {
+      try {
+        return JSON.parse(value);
+      } catch (err) {
+        return value;
+      }
+    }
+    return value
+      .split(",")
+      .map((item) => item.trim())
+      .filter(Boolean);
+  }, z.array(itemSchema));
+
+const text = z.string().trim().min(1);
+const id = z.coerce.number().int().positive();
+const latitude = z.coerce.number().min(-90).max(90);
+const longitude = z.coerce.number().min(-180).max(180);
+// ISO 8601 only: Date.parse also takes things like "2024" or "hello 12",
+// which Postgres then rejects
+const dateString = z.union(
+  [z.iso.date(), z.iso.datetime({ offset: true, local: true })],
+  { error: "Must be an ISO date (YYYY-MM-DD) or date-time" },
+);
+const icaoAirport = z
+  .string()
+  .trim()
+  .regex(/^[A-Za-z0-9]{3,4}$/, "Must be a 3-4 character airport code")
+  .transform((value) => value.toUpperCase());
+const icaoType = z
+  .string()
+  .trim()
+  .regex(/^[A-Za-z0-9]{2,4}$/, "Must be a 2-4 character ICAO type designator")
+  .transform((value) => value.toUpperCase());
+const airlineCode = z
+  .string()
+  .trim()
+  .regex(/^[A-Za-z0-9]{2,3}$/, "Must be a 2-3 character airline code")
+  .transform((value) => value.toUpperCase());
+const visibility = z.enum(VISIBILITIES);
+const password = z.string().min(8, "Must be at least 8 characters").max(72);
+const username = z
+  .string()
+  .trim()
+  .min(3)
+  .max(32)
+  .regex(/^[A-Za-z0-9_.-]+$/, "Only letters, numbers, _ . and -");
+
+/**
+ * ?limit= for the stats endpoints.
+ */
+const limitQuery = (defaultLimit, max = 100) =>
+  z.object({
+    limit: optional(z.coerce.number().int().min(1).max(max)).default(
+      defaultLimit,
+    ),
+  });
+
+/**
+ * Query string flag: "true"/"1" or "false"/"0", false when absent.
+ */
+const flagQuery = optional(
+  z
+    .enum(["true", "false", "1", "0"])
+    .transform((v) => v === "true" || v === "1"),
+).default(false);
+
+const idParams = z.object({ id });
+
+/**
+ * PATCH body for an object schema: every field optional, since PATCH only
+ * changes the fields sent (PUT is how optional ones get cleared). An empty
+ * body is rejected.
+ */
+const patchSchema = (schema) =>
+  schema
+    .partial()
+    .refine((body) => Object.values(body).some((v) => v !== undefined), {
+      message: "No fields to update",
+    });
+
+/**
+ * Every field of the schema from a parsed body, with the optional ones it
+ * left out set to null, so a PUT replaces the whole row.
+ */
+const replacementRow = (schema, fields) =>
+  Object.fromEntries(
+    Object.keys(schema.shape).map((key) => [key, fields[key] ?? null]),
+  );
+
+module.exports = {
+  z,
+  optional,
+  json,
+  list,
+  text,
+  id,
+  latitude,
+  longitude,
+  dateString,
+  icaoAirport,
+  icaoType,
+  airlineCode,
+  visibility,
+  password,
+  username,
+  limitQuery,
+  flagQuery,
+  idParams,
+  patchSchema,
+  replacementRow,
+};
@@ -0,0 +1,7 @@
+// lib/visibility.js
+// private  - only the owner
+// unlisted - anyone with the link (photo share_id / profile username)
+// public   - listed on the owner's public profile
+const VISIBILITIES = ["private", "unlisted", "public"];
+
+module.exports = { VISIBILITIES };
@@ -1,22 +1,42 @@
 const jwt = require("jsonwebtoken");
+const { findActiveSession } = require("../lib/sessions");
+const { httpError } = require("../lib/errors");
 
-function authenticateToken(req, res, next) {
+async function authenticateToken(req, res, next) {
   // Client sends header: "Authorization: Bearer <token>"
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
 
   if (!token) {
-    return res.status(401).json({ error: "Access denied. No token provided." });
+    return next(httpError(401, "Access denied. No token provided."));
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
-      return res.status(403).json({ error: "Invalid token." });
+  let user;
+  try {
+    user = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (err) {
+    // Expired access tokens are routine: tell the client to refresh
+    if (err.name === "TokenExpiredError") {
+      return next(
+        httpError(401, "Access token expired.", { code: "TOKEN_EXPIRED" }),
+      );
     }
+    return next(httpError(403, "Invalid token."));
+  }
+
+  // Tokens issued before sessions existed can't be revoked, so refuse them
+  if (!user.sid) {
+    return next(httpError(401, "Session expired. Please log in again."));
+  }
+
+  const session = await findActiveSession(user.sid);
+  if (!session) {
+    return next(httpError(401, "Session has been revoked."));
+  }
 
-    req.user = user;
-    next();
-  });
+  // Use the current role rather than the one baked into the token
+  req.user = { ...user, type: session.User.type };
+  next();
 }
 
 module.exports = authenticateToken;
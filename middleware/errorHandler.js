@@ -0,0 +1,69 @@
+const multer = require("multer");
+const { httpError, fromDbError } = require("../lib/errors");
+
+/**
+ * Normalises anything thrown by a route into an httpError.
+ */
+const toHttpError = (err) => {
+  if (err.name === "HttpError") return err;
+
+  // Malformed JSON body from express.json()
+  if (err.type === "entity.parse.failed") {
+    return httpError(400, "Malformed JSON body");
+  }
+
+  // Other body-parser errors (entity.too.large, charset.unsupported, ...)
+  // carry their own 4xx status and a message safe to show
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return httpError(err.status, err.message);
+  }
+
+  if (err instanceof multer.MulterError) {
+    return httpError(err.code === "LIMIT_FILE_SIZE" ? 413 : 400, err.message);
+  }
+
+  // Supabase/PostgREST errors carry a Postgres code and no status
+  if (err.code && err.details !== undefined) {
+    return fromDbError(err);
+  }
+
+  return httpError(500, "Internal server error");
+};
+
+const notFound = (req, res, next) => {
+  next(
+    httpError(404, `Route not found: ${req.method} ${req.baseUrl}${req.path}`),
+  );
+};
+
+/**
+ * Status and JSON body for an error, as the API responds with it.
+ */
+const toErrorResponse = (err) => {
+  const httpErr = toHttpError(err);
+
+  const body = { error: httpErr.message, code: httpErr.code };
+  if (httpErr.fields) body.fields = httpErr.fields;
+
+  // Don't leak database internals on unexpected failures
+  if (httpErr.status === 500) {
+    body.error = "Internal server error";
+  }
+
+  return { status: httpErr.status, body };
+};
+
+// Must be registered after every route (Express 5 forwards async rejections)
+const errorHandler = (err, req, res, next) => {
+  const { status, body } = toErrorResponse(err);
+
+  if (status >= 500) {
+    console.error(`${req.method} ${req.originalUrl} failed:`, err);
+  }
+
+  res.status(status).json(body);
+};
+
+module.exports = errorHandler;
+module.exports.notFound = notFound;
+module.exports.toErrorResponse = toErrorResponse;
@@ -0,0 +1,65 @@
+const { httpError } = require("../lib/errors");
+const { createMemoryStore } = require("../lib/rateLimitStore");
+
+const defaultStore = createMemoryStore();
+
+const KEY_GENERATORS = {
+  ip: (req) => req.ip,
+  // Falls back to the IP for unauthenticated requests
+  user: (req) => (req.user ? `user:${req.user.id}` : req.ip),
+};
+
+/**
+ * Fixed-window rate limiter.
+ *   name     - namespaces the counters, so limiters don't share windows
+ *   windowMs - window length
+ *   max      - hits allowed per window and key
+ *   keyBy    - "ip", "user" (must run after authenticateToken) or (req) => key
+ *   message  - error message once the limit is hit
+ * Sets the draft RateLimit-* headers and Retry-After on 429s.
+ * Use the returned middleware directly, or call its consume(req, res) to
+ * count a hit only on some code paths (throws the 429 error).
+ */
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  keyBy = "ip",
+  message = "Too many requests, please try again later.",
+  store = defaultStore,
+}) => {
+  const keyFor = typeof keyBy === "function" ? keyBy : KEY_GENERATORS[keyBy];
+
+  const consume = async (req, res) => {
+    const { count, resetAt } = await store.increment(
+      `${name}:${keyFor(req)}`,
+      windowMs,
+    );
+    const secondsLeft = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+    res.setHeader("RateLimit-Limit", max);
+    res.setHeader("RateLimit-Remaining", Math.max(0, max - count));
+    res.setHeader("RateLimit-Reset", secondsLeft);
+
+    if (count > max) {
+      res.setHeader("Retry-After", secondsLeft);
+      throw httpError(429, message);
+    }
+  };
+
+  const middleware = async (req, res, next) => {
+    await consume(req, res);
+    next();
+  };
+  middleware.consume = consume;
+
+  return middleware;
+};
+
+/**
+ * Reads a positive integer setting from the environment.
+ */
+const envLimit = (name, fallback) => parseInt(process.env[name]) || fallback;
+
+module.exports = rateLimit;
+module.exports.envLimit = envLimit;
@@ -0,0 +1,11 @@
+const { httpError } = require("../lib/errors");
+
+// Must run after authenticateToken
+function requireAdmin(req, res, next) {
+  if (req.user.type !== "admin") {
+    return next(httpError(403, "Access denied. Admins only."));
+  }
+  next();
+}
+
+module.exports = requireAdmin;
@@ -0,0 +1,63 @@
+const { httpError } = require("../lib/errors");
+
+const formatIssues = (location, issues) =>
+  issues.map((issue) => ({
+    field: [location, ...issue.path].join("."),
+    message: issue.message,
+  }));
+
+/**
+ * Parses req.body / req.query / req.params against zod schemas and replaces
+ * them with the parsed (coerced, defaulted) values. Any failure becomes a
+ * 400 VALIDATION_ERROR listing every bad field.
+ */
+const validate = (schemas) => (req, res, next) => {
+  const fields = [];
+  const parsed = {};
+
+  for (const location of ["params", "query", "body"]) {
+    if (!schemas[location]) continue;
+
+    const result = schemas[location].safeParse(req[location] || {});
+    if (result.success) {
+      parsed[location] = result.data;
+    } else {
+      fields.push(...formatIssues(location, result.error.issues));
+    }
+  }
+
+  if (fields.length > 0) {
+    return next(
+      httpError(400, "Validation failed", { code: "VALIDATION_ERROR", fields }),
+    );
+  }
+
+  for (const [location, value] of Object.entries(parsed)) {
+    // req.query is a getter in Express 5, so shadow it with the parsed value
+    Object.defineProperty(req, location, {
+      value,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+  }
+
+  next();
+};
+
+/**
+ * Same error format for validation done inside a handler.
+ */
+const parseOrThrow = (schema, value, location = "body") => {
+  const result = schema.safeParse(value || {});
+  if (!result.success) {
+    throw httpError(400, "Validation failed", {
+      code: "VALIDATION_ERROR",
+      fields: formatIssues(location, result.error.issues),
+    });
+  }
+  return result.data;
+};
+
+module.exports = validate;
+module.exports.parseOrThrow = parseOrThrow;
@@ -0,0 +1,185 @@
+// routes/account.js
+const express = require("express");
+const router = express.Router();
+const bcrypt = require("bcrypt");
+const supabase = require("../db");
+const authenticateToken = require("../middleware/authMiddleware");
+const validate = require("../middleware/validate");
+const { httpError } = require("../lib/errors");
+const { z, visibility, password, username } = require("../lib/validation");
+const { revokeAllSessions } = require("../lib/sessions");
+const { BASE_SELECT } = require("../lib/photoQuery");
+const {
+  withImageUrls,
+  photoStorageKeys,
+  deleteStoredFiles,
+} = require("../lib/storage");
+
+// PostgREST caps each response, so large collections are read in pages
+const EXPORT_PAGE_SIZE = 1000;
+
+const visibilitySchema = z.object({ visibility });
+
+const passwordSchema = z.object({
+  current_password: z.string().min(1),
+  new_password: password,
+});
+
+const usernameSchema = z.object({ username });
+
+const deleteSchema = z.object({ password: z.string().min(1) });
+
+/**
+ * Checks a plain password against the stored bcrypt hash of a user.
+ */
+const verifyPassword = async (userId, password) => {
+  const { data: user, error } = await supabase
+    .from("User")
+    .select("password_hash")
+    .eq("id", userId)
+    .single();
+
+  if (error) throw error;
+  return bcrypt.compare(password, user.password_hash);
+};
+
+router.get("/", authenticateToken, async (req, res) => {
+  const { data, error } = await supabase
+    .from("User")
+    .select("id, username, type, profile_visibility, created_at")
+    .eq("id", req.user.id)
+    .single();
+
+  if (error) throw error;
+  res.json(data);
+});
+
+// PUT /api/account/visibility
+router.put(
+  "/visibility",
+  authenticateToken,
+  validate({ body: visibilitySchema }),
+  async (req, res) => {
+    const { data, error } = await supabase
+      .from("User")
+      .update({ profile_visibility: req.body.visibility })
+      .eq("id", req.user.id)
+      .select("id, username, profile_visibility")
+      .single();
+
+    if (error) throw error;
+    res.json(data);
+  },
+);
+
+// PUT /api/account/password
+// Other sessions are logged out; the one making the change stays signed in.
+router.put(
+  "/password",
+  authenticateToken,
+  validate({ body: passwordSchema }),
+  async (req, res) => {
+    const { current_password, new_password } = req.body;
+
+    const validPass = await verifyPassword(req.user.id, current_password);
+    if (!validPass) {
+      throw httpError(400, "Current password is incorrect");
+    }
+
+    const salt = await bcrypt.genSalt(10);
+    const passwordHash = await bcrypt.hash(new_password, salt);
+
+    const { error } = await supabase
+      .from("User")
+      .update({ password_hash: passwordHash })
+      .eq("id", req.user.id);
+
+    if (error) throw error;
+
+    await revokeAllSessions(req.user.id, { exceptSessionId: req.user.sid });
+
+    res.json({ message: "Password updated successfully" });
+  },
+);
+
+// PUT /api/account/username
+// The access token keeps the old username until its next refresh.
+router.put(
+  "/username",
+  authenticateToken,
+  validate({ body: usernameSchema }),
+  async (req, res) => {
+    const { data, error } = await supabase
+      .from("User")
+      .update({ username: req.body.username })
+      .eq("id", req.user.id)
+      .select("id, username, type")
+      .single();
+
+    if (error) {
+      if (error.code === "23505") {
+        throw httpError(409, "Username is already taken.");
+      }
+      throw error;
+    }
+    res.json(data);
+  },
+);
+
+// GET /api/account/export - everything we store for the user, as JSON
+router.get("/export", authenticateToken, async (req, res) => {
+  const { data: user, error: userError } = await supabase
+    .from("User")
+    .select("id, username, type, profile_visibility, created_at")
+    .eq("id", req.user.id)
+    .single();
+
+  if (userError) throw userError;
+
+  const photos = [];
+  for (let from = 0; ; from += EXPORT_PAGE_SIZE) {
+    const { data, error } = await supabase
+      .from("Photo")
+      .select(BASE_SELECT)
+      .eq("user_id", req.user.id)
+      .order("id", { ascending: true })
+      .range(from, from + EXPORT_PAGE_SIZE - 1);
+
+    if (error) throw error;
+    photos.push(...data.map(withImageUrls));
+    if (data.length < EXPORT_PAGE_SIZE) break;
+  }
+
+  res.attachment("spotters-journal-export.json");
+  res.json({ exported_at: new Date().toISOString(), user, photos });
+});
+
+// DELETE /api/account
+// Requires the current password. Photos, orphaned aircraft rows, sessions and
+// the user are removed in one transaction, then the photo files.
+router.delete(
+  "/",
+  authenticateToken,
+  validate({ body: deleteSchema }),
+  async (req, res) => {
+    const validPass = await verifyPassword(req.user.id, req.body.password);
+    if (!validPass) {
+      throw httpError(400, "Password is incorrect");
+    }
+
+    const { data: photos, error } = await supabase.rpc("delete_user_account", {
+      p_user_id: req.user.id,
+    });
+
+    if (error) throw error;
+
+    await deleteStoredFiles(photos.flatMap(photoStorageKeys));
+
+    res.json({
+      message: "Account deleted successfully",
+      deleted_photos: photos.length,
+    });
+  },
+);
+
+module.exports = router;
@@ -3,23 +3,108 @@ const express = require("express");
 const router = express.Router();
 const supabase = require("../db");
 const authenticateToken = require("../middleware/authMiddleware");
+const requireAdmin = require("../middleware/requireAdmin");
+const validate = require("../middleware/validate");
+const rateLimit = require("../middleware/rateLimit");
+const { envLimit } = require("../middleware/rateLimit");
+const { withImageUrls } = require("../lib/storage");
+const { httpError, fromDbError } = require("../lib/errors");
+const {
+  z,
+  optional,
+  text,
+  dateString,
+  limitQuery,
+} = require("../lib/validation");
+const aircraftLookup = require("../lib/aircraftLookup");
+const {
+  checkRegistration,
+  registrationWarning,
+  suggestAirlines,
+} = require("../lib/registrations");
 
-const AIRLABS_API_KEY = process.env.AIRLABS_API_KEY;
-const AIRLABS_BASE_URL = process.env.AIRLABS_BASE_URL;
+// new-registration lookups can hit the paid AirLabs API: throttle bursts
+// (typing) and cap each user's daily AirLabs usage
+const airlabsBurstLimiter = rateLimit({
+  name: "airlabs-burst",
+  windowMs: 60 * 1000,
+  max: envLimit("RATE_LIMIT_AIRLABS_PER_MINUTE", 20),
+  keyBy: "user",
+  message: "Too many aircraft lookups, please slow down.",
+});
 
-router.get("/search", authenticateToken, async (req, res) => {
-  const query = req.query.q;
+const airlabsDailyLimiter = rateLimit({
+  name: "airlabs-daily",
+  windowMs: 24 * 60 * 60 * 1000,
+  max: envLimit("RATE_LIMIT_AIRLABS_PER_DAY", 300),
+  keyBy: "user",
+  message: "Daily aircraft lookup quota reached, please try again tomorrow.",
+});
 
-  if (!query || query.length < 2) {
-    return res.json([]);
-  }
+const registrationQuery = z.object({
+  q: optional(z.string().trim().max(20)),
+});
+
+const searchQuery = registrationQuery.extend(limitQuery(20, 50).shape);
+
+const airframeParams = z.object({ uuid: z.uuid() });
+
+const mergeSchema = z
+  .object({
+    survivor: z.uuid(),
+    losers: z.array(z.uuid()).min(1).max(50),
+  })
+  .refine((body) => !body.losers.includes(body.survivor), {
+    path: ["losers"],
+    message: "Must not contain the survivor",
+  });
+
+const addRegistrationSchema = z.object({
+  registration: text.max(20),
+  airline_code: optional(z.string().trim()),
+  valid_from: optional(dateString),
+  is_current: z.boolean().default(true),
+});
+
+// Period start for ordering a timeline; valid_from is optional
+const periodStart = (rh) => rh.valid_from || rh.created_at;
+
+// GET /api/aircraft/search?q=&limit=
+// Hyphen-insensitive prefix/substring/typo-tolerant search. `aircraft` holds
+// the exact matches; everything else is ranked into `did_you_mean`, so the
+// client can offer those before treating the registration as new.
+router.get(
+  "/search",
+  authenticateToken,
+  validate({ query: searchQuery }),
+  async (req, res) => {
+    const { q: query, limit } = req.query;
+
+    if (!query || query.length < 2) {
+      return res.json([]);
+    }
+
+    const { data: ranked, error: searchError } = await supabase.rpc(
+      "search_registrations",
+      { p_query: query, p_limit: limit },
+    );
+
+    if (searchError) throw searchError;
+
+    if (ranked.length === 0) {
+      return res.json({
+        is_new_aircraft: true,
+        aircraft: [],
+        did_you_mean: [],
+      });
+    }
 
-  try {
     const { data, error } = await supabase
       .from("RegistrationHistory")
       .select(
         `
         uuid_rh,
+        registration,
         airline,
         Airline ( name ),
         SpecificAircraft!inner (
@@ -30,26 +115,27 @@ router.get("/search", authenticateToken, async (req, res) => {
             variant
           )
         ),
-        Photo!left (         
-          image_url, 
+        Photo!left (
+          image_key,
+          images,
           taken_at,
           airport_code,
           user_id
         )
       `,
       )
-      .eq("registration", query.toUpperCase())
-      .order("created_at", { ascending: false });
+      .in(
+        "uuid_rh",
+        ranked.map((row) => row.uuid_rh),
+      );
 
     if (error) throw error;
 
-    if (data.length === 0) {
-      res.json({
-        is_new_aircraft: true,
-      });
-      return;
-    } else {
-      const results = data.map((resultObj) => {
+    const byId = new Map(data.map((row) => [row.uuid_rh, row]));
+    const results = ranked
+      .filter((row) => byId.has(row.uuid_rh))
+      .map(({ uuid_rh, match, score }) => {
+        const resultObj = byId.get(uuid_rh);
         const flattenedSpecificAircraft = {
           icao_type: resultObj.SpecificAircraft.icao_type,
           manufacturer: resultObj.SpecificAircraft.AircraftType.manufacturer,
@@ -60,10 +146,14 @@ router.get("/search", authenticateToken, async (req, res) => {
         // Filter Photos to only show the user's photos
         const userPhotos = resultObj.Photo.filter(
           (photo) => photo.user_id === req.user.id,
-        ).sort((a, b) => new Date(b.taken_at) - new Date(a.taken_at));
+        )
+          .sort((a, b) => new Date(b.taken_at) - new Date(a.taken_at))
+          .map(withImageUrls);
 
         return {
           ...resultObj,
+          match,
+          score,
           type_id: resultObj.SpecificAircraft.icao_type,
           airline_name: resultObj.Airline?.name,
           SpecificAircraft: flattenedSpecificAircraft,
@@ -71,45 +161,259 @@ router.get("/search", authenticateToken, async (req, res) => {
         };
       });
 
-      res.json({
-        is_new_aircraft: false,
-        aircraft: results,
-      });
-      return;
+    const aircraft = results.filter((result) => result.match === "exact");
+
+    res.json({
+      is_new_aircraft: aircraft.length === 0,
+      aircraft,
+      did_you_mean: results.filter((result) => result.match !== "exact"),
+    });
+  },
+);
+
+// GET /api/aircraft/new-registration?q=
+// { found, source: cache|airlabs|local|unavailable, stale, aircraft_type_id,
+//   airline_code, built_year, msn, registration, country, warnings,
+//   suggested_airlines }
+// suggested_airlines comes from the airlines' reg_prefix/reg_suffix rules and
+// is only filled when the lookup found no airline.
+router.get(
+  "/new-registration",
+  authenticateToken,
+  validate({ query: registrationQuery }),
+  airlabsBurstLimiter,
+  async (req, res) => {
+    const query = req.query.q;
+
+    if (!query || query.length === 0) {
+      return res.json([]);
     }
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
 
-router.get("/new-registration", authenticateToken, async (req, res) => {
-  const query = req.query.q;
+    // Look up the canonical spelling, which is how AirLabs and our own
+    // rows store it
+    const check = checkRegistration(query);
+    const warning = registrationWarning(check);
 
-  if (!query || query.length === 0) {
-    return res.json([]);
-  }
+    const result = await aircraftLookup.lookup(check.registration, {
+      // Only calls that actually reach AirLabs count against the daily quota
+      beforeUpstream: () => airlabsDailyLimiter.consume(req, res),
+    });
 
-  try {
-    const result = await fetch(
-      `${AIRLABS_BASE_URL}/fleets?reg_number=${query.toUpperCase()}&api_key=${AIRLABS_API_KEY}`,
-    );
-    const data = await result.json();
-    const response = data.response;
+    res.json({
+      ...result,
+      registration: check.registration,
+      country: check.country,
+      warnings: warning ? [warning] : [],
+      suggested_airlines: result.airline_code
+        ? []
+        : await suggestAirlines(check.registration),
+    });
+  },
+);
 
-    if (!response || response.length === 0) {
-      return res.json({
-        found: false,
-      });
-    } else {
-      return res.json({
-        found: true,
-        aircraft_type_id: response[0].icao,
-        airline_code: response[0].airline_icao,
-      });
+// GET /api/aircraft/duplicates?limit= (admin)
+// Groups of registrations that look like one airframe split over several
+// SpecificAircraft rows (same registration, same type). Each group's records
+// are ordered with the suggested survivor first.
+router.get(
+  "/duplicates",
+  authenticateToken,
+  requireAdmin,
+  validate({ query: limitQuery(100, 500) }),
+  async (req, res) => {
+    const { data, error } = await supabase.rpc("find_duplicate_aircraft", {
+      p_limit: req.query.limit,
+    });
+
+    if (error) throw error;
+    res.json(data);
+  },
+);
+
+// POST /api/aircraft/merge (admin)
+// { survivor: uuid_rh, losers: [uuid_rh] } - re-points the losers' photos to
+// the survivor and deletes the losers, in one transaction (merge_registrations)
+router.post(
+  "/merge",
+  authenticateToken,
+  requireAdmin,
+  validate({ body: mergeSchema }),
+  async (req, res) => {
+    const { data, error } = await supabase.rpc("merge_registrations", {
+      p_survivor: req.body.survivor,
+      p_losers: req.body.losers,
+    });
+
+    if (error) throw fromDbError(error);
+    res.json(data);
+  },
+);
+
+// POST /api/aircraft/:uuid/registrations
+// Records a re-registration or airline transfer of an existing airframe. A
+// current registration (the default) ends the previous current one.
+router.post(
+  "/:uuid/registrations",
+  authenticateToken,
+  validate({ params: airframeParams, body: addRegistrationSchema }),
+  async (req, res) => {
+    const { registration, airline_code, valid_from, is_current } = req.body;
+
+    const { data, error } = await supabase.rpc("add_registration", {
+      p_uuid_sa: req.params.uuid,
+      p_registration: registration,
+      p_airline: airline_code ?? null,
+      p_valid_from: valid_from ?? null,
+      p_is_current: is_current,
+    });
+
+    if (error) {
+      if (error.code === "23505") {
+        throw httpError(
+          409,
+          "This registration is already recorded for that airline.",
+        );
+      }
+      throw error;
     }
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+
+    res.status(201).json(data);
+  },
+);
+
+/**
+ * An airframe with its type and every registration (each with its airline
+ * name and brand color), ordered oldest first. 404s when it doesn't exist.
+ */
+const fetchAirframe = async (uuid) => {
+  const { data: aircraft, error } = await supabase
+    .from("SpecificAircraft")
+    .select(
+      `
+      uuid,
+      icao_type,
+      manufactured_date,
+      AircraftType ( manufacturer, type, variant ),
+      RegistrationHistory (
+        uuid_rh,
+        registration,
+        airline,
+        is_current,
+        valid_from,
+        valid_to,
+        created_at,
+        Airline ( name, brand_color )
+      )
+    `,
+    )
+    .eq("uuid", uuid)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!aircraft) {
+    throw httpError(404, "Aircraft not found");
   }
-});
+
+  const { RegistrationHistory, ...airframe } = aircraft;
+  const registrations = RegistrationHistory.sort(
+    (a, b) => new Date(periodStart(a)) - new Date(periodStart(b)),
+  ).map(({ Airline, ...rh }) => ({
+    ...rh,
+    airline_name: Airline?.name ?? null,
+    brand_color: Airline?.brand_color ?? null,
+  }));
+
+  return { airframe, registrations };
+};
+
+/**
+ * The user's photos of any of the given registrations, oldest first.
+ */
+const fetchUserPhotos = async (userId, registrations) => {
+  const { data, error } = await supabase
+    .from("Photo")
+    .select(
+      "id, uuid_rh, image_key, images, taken_at, airport_code, Airport ( name )",
+    )
+    .eq("user_id", userId)
+    .in(
+      "uuid_rh",
+      registrations.map((rh) => rh.uuid_rh),
+    )
+    .order("taken_at", { ascending: true });
+
+  if (error) throw error;
+  return data.map(withImageUrls);
+};
+
+// Age in years (one decimal) from a manufactured date, or null
+const ageInYears = (manufacturedDate) => {
+  if (!manufacturedDate) return null;
+  const years =
+    (Date.now() - new Date(manufacturedDate).getTime()) /
+    (365.25 * 24 * 60 * 60 * 1000);
+  return Math.round(years * 10) / 10;
+};
+
+// GET /api/aircraft/:uuid/timeline
+// Every registration/livery of an airframe, oldest first, each with the
+// user's photos taken during that period.
+router.get(
+  "/:uuid/timeline",
+  authenticateToken,
+  validate({ params: airframeParams }),
+  async (req, res) => {
+    const { airframe, registrations } = await fetchAirframe(req.params.uuid);
+    const photos = await fetchUserPhotos(req.user.id, registrations);
+
+    const timeline = registrations.map((rh) => ({
+      ...rh,
+      photos: photos.filter((photo) => photo.uuid_rh === rh.uuid_rh),
+    }));
+
+    res.json({ ...airframe, timeline });
+  },
+);
+
+// GET /api/aircraft/:uuid
+// Airframe detail: type, age, every registration and all of the user's
+// sightings across registrations, with first/last seen and airport count.
+router.get(
+  "/:uuid",
+  authenticateToken,
+  validate({ params: airframeParams }),
+  async (req, res) => {
+    const { airframe, registrations } = await fetchAirframe(req.params.uuid);
+    const photos = await fetchUserPhotos(req.user.id, registrations);
+
+    const registrationById = new Map(
+      registrations.map((rh) => [rh.uuid_rh, rh]),
+    );
+    const dated = photos.filter((photo) => photo.taken_at);
+    const airports = new Set(
+      photos.map((photo) => photo.airport_code).filter(Boolean),
+    );
+
+    res.json({
+      ...airframe,
+      age_years: ageInYears(airframe.manufactured_date),
+      registrations,
+      // Newest first, like the photo listings
+      photos: photos
+        .map((photo) => ({
+          ...photo,
+          registration: registrationById.get(photo.uuid_rh).registration,
+          airline: registrationById.get(photo.uuid_rh).airline,
+        }))
+        .reverse(),
+      stats: {
+        photo_count: photos.length,
+        first_seen: dated.length > 0 ? dated[0].taken_at : null,
+        last_seen: dated.length > 0 ? dated[dated.length - 1].taken_at : null,
+        distinct_airports: airports.size,
+      },
+    });
+  },
+);
 
 module.exports = router;
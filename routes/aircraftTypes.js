@@ -2,64 +2,177 @@ const express = require("express");
 const router = express.Router();
 const supabase = require("../db");
 const authenticateToken = require("../middleware/authMiddleware");
+const requireAdmin = require("../middleware/requireAdmin");
+const validate = require("../middleware/validate");
+const { httpError, fromDbError } = require("../lib/errors");
+const {
+  importUpload,
+  readRecords,
+  pickField,
+  importRecords,
+} = require("../lib/referenceImport");
+const {
+  z,
+  optional,
+  text,
+  icaoType,
+  flagQuery,
+  patchSchema,
+  replacementRow,
+} = require("../lib/validation");
 
-// Middleware: Admins only
-const requireAdmin = (req, res, next) => {
-  if (req.user.type !== "admin") {
-    return res.status(403).json({ error: "Access denied. Admins only." });
-  }
-  next();
-};
+const typeFieldsSchema = z.object({
+  manufacturer: text,
+  type: text,
+  variant: optional(z.string().trim()),
+});
 
-router.post("/", authenticateToken, requireAdmin, async (req, res) => {
-  const { icao_type, manufacturer, type, variant } = req.body;
+const createTypeSchema = typeFieldsSchema.extend({ icao_type: icaoType });
 
-  if (!icao_type || !manufacturer || !type) {
-    return res
-      .status(400)
-      .json({ error: "ICAO Type, Manufacturer, and Type are required" });
-  }
+const patchTypeSchema = patchSchema(typeFieldsSchema);
+
+const typeParams = z.object({ icao_type: icaoType });
+
+const importQuery = z.object({ dry_run: flagQuery });
+
+const deleteTypeQuery = z.object({
+  replace_with: optional(icaoType),
+});
 
-  try {
+router.post(
+  "/",
+  authenticateToken,
+  requireAdmin,
+  validate({ body: createTypeSchema }),
+  async (req, res) => {
     const { data, error } = await supabase
       .from("AircraftType")
-      .insert([
-        {
-          icao_type: icao_type.toUpperCase(),
-          manufacturer,
-          type,
-          variant,
-        },
-      ])
+      .insert([replacementRow(createTypeSchema, req.body)])
       .select()
       .single();
 
-    if (error) throw error;
-    res.status(201).json(data);
-  } catch (err) {
-    if (err.code === "23505") {
-      return res
-        .status(409)
-        .json({ error: "Aircraft Type with this ICAO Type already exists." });
+    if (error) {
+      if (error.code === "23505") {
+        throw httpError(
+          409,
+          "Aircraft Type with this ICAO Type already exists.",
+        );
+      }
+      throw error;
     }
-    res.status(500).json({ error: err.message });
-  }
-});
+    res.status(201).json(data);
+  },
+);
 
 router.get("/", authenticateToken, async (req, res) => {
-  try {
-    const { data, error } = await supabase
-      .from("AircraftType")
-      .select("*")
-      .order("manufacturer", { ascending: true }) // First priority
-      .order("type", { ascending: true }) // Second priority
-      .order("variant", { ascending: true }); // Third priority
+  const { data, error } = await supabase
+    .from("AircraftType")
+    .select("*")
+    .order("manufacturer", { ascending: true }) // First priority
+    .order("type", { ascending: true }) // Second priority
+    .order("variant", { ascending: true }); // Third priority
 
-    if (error) throw error;
-    res.json(data);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+  if (error) throw error;
+  res.json(data);
 });
 
+// Maps a record in our column names or an ICAO Doc 8643 designator list
+// (Designator, ManufacturerCode, ModelFullName) onto createTypeSchema
+const typeFromRecord = (record) => ({
+  icao_type: pickField(record, "icao_type", "designator", "type_designator"),
+  manufacturer: pickField(record, "manufacturer", "manufacturercode"),
+  type: pickField(record, "type", "model", "modelfullname"),
+  variant: pickField(record, "variant"),
+});
+
+// POST /api/aircraft-types/import?dry_run= (Admins Only)
+router.post(
+  "/import",
+  authenticateToken,
+  requireAdmin,
+  importUpload,
+  validate({ query: importQuery }),
+  async (req, res) => {
+    const result = await importRecords(readRecords(req), {
+      table: "AircraftType",
+      key: "icao_type",
+      columns: ["manufacturer", "type", "variant"],
+      schema: createTypeSchema,
+      fromRecord: typeFromRecord,
+      dryRun: req.query.dry_run,
+    });
+
+    res.json(result);
+  },
+);
+
+const updateType = async (icaoType, changes) => {
+  const { data, error } = await supabase
+    .from("AircraftType")
+    .update(changes)
+    .eq("icao_type", icaoType)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) {
+    throw httpError(404, "Aircraft type not found");
+  }
+  return data;
+};
+
+// PUT /api/aircraft-types/:icao_type (Admins Only)
+router.put(
+  "/:icao_type",
+  authenticateToken,
+  requireAdmin,
+  validate({ params: typeParams, body: typeFieldsSchema }),
+  async (req, res) => {
+    res.json(
+      await updateType(
+        req.params.icao_type,
+        replacementRow(typeFieldsSchema, req.body),
+      ),
+    );
+  },
+);
+
+// PATCH /api/aircraft-types/:icao_type (Admins Only)
+router.patch(
+  "/:icao_type",
+  authenticateToken,
+  requireAdmin,
+  validate({ params: typeParams, body: patchTypeSchema }),
+  async (req, res) => {
+    res.json(await updateType(req.params.icao_type, req.body));
+  },
+);
+
+// DELETE /api/aircraft-types/:icao_type?replace_with= (Admins Only)
+// Refused while aircraft use the type, unless they're moved to
+// ?replace_with=<icao type>. There's no cascade: photo listings need every
+// aircraft to have a type.
+router.delete(
+  "/:icao_type",
+  authenticateToken,
+  requireAdmin,
+  validate({ params: typeParams, query: deleteTypeQuery }),
+  async (req, res) => {
+    const { data, error } = await supabase.rpc("delete_aircraft_type", {
+      p_icao_type: req.params.icao_type,
+      p_replace_with: req.query.replace_with ?? null,
+    });
+
+    if (error) throw fromDbError(error);
+    if (!data.deleted) {
+      throw httpError(
+        409,
+        `Aircraft type is used by ${data.aircraft_count} aircraft with ${data.photo_count} photo(s). Pass replace_with to delete it.`,
+      );
+    }
+
+    res.json(data);
+  },
+);
+
 module.exports = router;
@@ -1,21 +1,206 @@
-// routes/aircraft.js
+// routes/airline.js
 const express = require("express");
 const router = express.Router();
 const supabase = require("../db");
 const authenticateToken = require("../middleware/authMiddleware");
+const requireAdmin = require("../middleware/requireAdmin");
+const validate = require("../middleware/validate");
+const { httpError, fromDbError } = require("../lib/errors");
+const {
+  importUpload,
+  readRecords,
+  pickField,
+  importRecords,
+} = require("../lib/referenceImport");
+const {
+  z,
+  optional,
+  text,
+  airlineCode,
+  flagQuery,
+  patchSchema,
+  replacementRow,
+} = require("../lib/validation");
+
+// Registration rules, e.g. reg_prefix ["N"] + reg_suffix ["DN"] for Delta
+const regRules = optional(
+  z
+    .array(
+      z
+        .string()
+        .trim()
+        .min(1)
+        .max(8)
+        .transform((value) => value.toUpperCase()),
+    )
+    .max(50),
+);
+
+const airlineFieldsSchema = z.object({
+  name: text,
+  brand_color: optional(
+    z
+      .string()
+      .trim()
+      .regex(/^#[0-9A-Fa-f]{6}$/, "Must be a hex color like #003366"),
+  ),
+  reg_prefix: regRules,
+  reg_suffix: regRules,
+});
+
+const createAirlineSchema = airlineFieldsSchema.extend({ code: airlineCode });
+
+const patchAirlineSchema = patchSchema(airlineFieldsSchema);
+
+const airlineParams = z.object({ code: airlineCode });
+
+const deleteAirlineQuery = z.object({
+  replace_with: optional(airlineCode),
+  cascade: flagQuery,
+});
+
+const importQuery = z.object({ dry_run: flagQuery });
 
 router.get("/", authenticateToken, async (req, res) => {
-  try {
+  const { data, error } = await supabase
+    .from("Airline")
+    .select("*")
+    .order("name", { ascending: true });
+
+  if (error) throw error;
+  res.json(data);
+});
+
+// POST /api/airlines (Admins Only)
+router.post(
+  "/",
+  authenticateToken,
+  requireAdmin,
+  validate({ body: createAirlineSchema }),
+  async (req, res) => {
     const { data, error } = await supabase
       .from("Airline")
-      .select("*")
-      .order("name", { ascending: true });
+      .insert([replacementRow(createAirlineSchema, req.body)])
+      .select()
+      .single();
 
-    if (error) throw error;
-    res.json(data);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+    if (error) {
+      if (error.code === "23505") {
+        throw httpError(409, "Airline with this code already exists.");
+      }
+      throw error;
+    }
+    res.status(201).json(data);
+  },
+);
+
+// CSV cells hold rule lists as "N|C" (also ; or , separated)
+const splitRules = (value) =>
+  typeof value === "string"
+    ? value
+        .split(/[|;,]/)
+        .map((rule) => rule.trim())
+        .filter(Boolean)
+    : value;
+
+// Maps a CSV/JSON record onto createAirlineSchema
+const airlineFromRecord = (record) => ({
+  // Registrations use ICAO airline codes (DAL), so prefer them over IATA (DL)
+  code: pickField(record, "code", "icao", "icao_code", "iata", "iata_code"),
+  name: pickField(record, "name"),
+  brand_color: pickField(record, "brand_color"),
+  reg_prefix: splitRules(pickField(record, "reg_prefix")),
+  reg_suffix: splitRules(pickField(record, "reg_suffix")),
 });
 
+// POST /api/airlines/import?dry_run= (Admins Only)
+router.post(
+  "/import",
+  authenticateToken,
+  requireAdmin,
+  importUpload,
+  validate({ query: importQuery }),
+  async (req, res) => {
+    const result = await importRecords(readRecords(req), {
+      table: "Airline",
+      key: "code",
+      columns: ["name", "brand_color", "reg_prefix", "reg_suffix"],
+      schema: createAirlineSchema,
+      fromRecord: airlineFromRecord,
+      dryRun: req.query.dry_run,
+    });
+
+    res.json(result);
+  },
+);
+
+const updateAirline = async (code, changes) => {
+  const { data, error } = await supabase
+    .from("Airline")
+    .update(changes)
+    .eq("code", code)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) {
+    throw httpError(404, "Airline not found");
+  }
+  return data;
+};
+
+// PUT /api/airlines/:code (Admins Only)
+router.put(
+  "/:code",
+  authenticateToken,
+  requireAdmin,
+  validate({ params: airlineParams, body: airlineFieldsSchema }),
+  async (req, res) => {
+    res.json(
+      await updateAirline(
+        req.params.code,
+        replacementRow(airlineFieldsSchema, req.body),
+      ),
+    );
+  },
+);
+
+// PATCH /api/airlines/:code (Admins Only)
+router.patch(
+  "/:code",
+  authenticateToken,
+  requireAdmin,
+  validate({ params: airlineParams, body: patchAirlineSchema }),
+  async (req, res) => {
+    res.json(await updateAirline(req.params.code, req.body));
+  },
+);
+
+// DELETE /api/airlines/:code?replace_with=&cascade= (Admins Only)
+// Refused while registrations use the airline, unless they're moved to
+// ?replace_with=<code> or ?cascade=true clears their airline.
+router.delete(
+  "/:code",
+  authenticateToken,
+  requireAdmin,
+  validate({ params: airlineParams, query: deleteAirlineQuery }),
+  async (req, res) => {
+    const { data, error } = await supabase.rpc("delete_airline", {
+      p_code: req.params.code,
+      p_replace_with: req.query.replace_with ?? null,
+      p_cascade: req.query.cascade,
+    });
+
+    if (error) throw fromDbError(error);
+    if (!data.deleted) {
+      throw httpError(
+        409,
+        `Airline is used by ${data.registration_count} registration(s) with ${data.photo_count} photo(s). Pass replace_with or cascade=true to delete it.`,
+      );
+    }
+
+    res.json(data);
+  },
+);
+
 module.exports = router;
@@ -2,52 +2,120 @@ const express = require("express");
 const router = express.Router();
 const supabase = require("../db");
 const authenticateToken = require("../middleware/authMiddleware");
+const requireAdmin = require("../middleware/requireAdmin");
+const validate = require("../middleware/validate");
+const { httpError, fromDbError } = require("../lib/errors");
+const {
+  importUpload,
+  readRecords,
+  pickField,
+  importRecords,
+} = require("../lib/referenceImport");
+const {
+  z,
+  optional,
+  text,
+  latitude,
+  longitude,
+  id,
+  icaoAirport,
+  flagQuery,
+  patchSchema,
+  replacementRow,
+} = require("../lib/validation");
 
-// Middleware to check if user is admin
-const requireAdmin = (req, res, next) => {
-  if (req.user.type !== "admin") {
-    return res.status(403).json({ error: "Access denied. Admins only." });
-  }
-  next();
-};
+const airportFieldsSchema = z.object({
+  name: text,
+  latitude: optional(latitude),
+  longitude: optional(longitude),
+  elevation: optional(z.coerce.number().int().min(-1500).max(30000)),
+  state: optional(z.string().trim().max(100)),
+  country: optional(z.string().trim().max(100)),
+  iata_code: optional(
+    z
+      .string()
+      .trim()
+      .regex(/^[A-Za-z0-9]{3}$/, "Must be a 3 character IATA code")
+      .transform((value) => value.toUpperCase()),
+  ),
+  municipality: optional(z.string().trim().max(100)),
+});
 
-// POST /api/airports (Admins Only)
-router.post("/", authenticateToken, requireAdmin, async (req, res) => {
-  const { icao_code, name, latitude, longitude } = req.body;
+const createAirportSchema = airportFieldsSchema.extend({
+  icao_code: icaoAirport,
+});
 
-  if (!icao_code || !name) {
-    return res.status(400).json({ error: "ICAO code and Name are required" });
-  }
+const patchAirportSchema = patchSchema(airportFieldsSchema);
+
+const airportParams = z.object({ icao_code: icaoAirport });
+
+const deleteAirportQuery = z.object({
+  replace_with: optional(icaoAirport),
+  cascade: flagQuery,
+});
 
-  try {
+const importQuery = z.object({ dry_run: flagQuery });
+
+const submissionParams = z.object({ id });
+
+const submissionListQuery = z.object({
+  status: optional(z.enum(["pending", "approved", "merged"])).default(
+    "pending",
+  ),
+});
+
+const patchSubmissionSchema = patchSchema(
+  z.object({
+    icao_code: optional(icaoAirport),
+    name: optional(text),
+    latitude: optional(latitude),
+    longitude: optional(longitude),
+  }),
+);
+
+const mergeSubmissionSchema = z.object({ airport_code: icaoAirport });
+
+const searchSchema = z.object({
+  q: optional(z.string().trim().max(100)),
+  limit: optional(z.coerce.number().int().min(1).max(50)).default(5),
+});
+
+const nearbySchema = z.object({
+  lat: latitude,
+  lon: longitude,
+  radius_km: optional(z.coerce.number().positive().max(500)).default(50),
+  limit: optional(z.coerce.number().int().min(1).max(50)).default(10),
+});
+
+// POST /api/airports (Admins Only)
+router.post(
+  "/",
+  authenticateToken,
+  requireAdmin,
+  validate({ body: createAirportSchema }),
+  async (req, res) => {
     const { data, error } = await supabase
       .from("Airport")
-      .insert([
-        {
-          icao_code: icao_code.toUpperCase(),
-          name,
-          latitude: parseFloat(latitude),
-          longitude: parseFloat(longitude),
-        },
-      ])
+      .insert([replacementRow(createAirportSchema, req.body)])
       .select()
       .single();
 
-    if (error) throw error;
-    res.status(201).json(data);
-  } catch (err) {
-    // Check for duplicate key error (Postgres code 23505)
-    if (err.code === "23505") {
-      return res
-        .status(409)
-        .json({ error: "Airport with this ICAO code already exists." });
+    if (error) {
+      // Check for duplicate key error (Postgres code 23505)
+      if (error.code === "23505") {
+        throw httpError(409, "Airport with this ICAO code already exists.");
+      }
+      throw error;
     }
-    res.status(500).json({ error: err.message });
-  }
-});
+    res.status(201).json(data);
+  },
+);
 
-router.get("/", authenticateToken, async (req, res) => {
-  try {
+router.get(
+  "/",
+  authenticateToken,
+  validate({ query: searchSchema }),
+  async (req, res) => {
     const query = req.query.q;
 
     if (!query) {
@@ -76,32 +144,260 @@ router.get("/", authenticateToken, async (req, res) => {
       }
     }
 
-    // user passed in a query for airport search
-    if (query.startsWith("K") && query.length >= 4) {
-      // likely a US airport, search by ICAO code
-      console.log("Searching by ICAO code", query);
-      const { data, error } = await supabase
-        .from("Airport")
-        .select("icao_code, name")
-        .ilike("icao_code", `${query}%`)
-        .order("name", { ascending: true })
-        .limit(5);
-      if (error) throw error;
-      return res.json(data);
-    } else {
-      // search by name
-      const { data, error } = await supabase
-        .from("Airport")
-        .select("icao_code, name")
-        .ilike("name", `%${query}%`)
-        .order("name", { ascending: true })
-        .limit(5);
-      if (error) throw error;
-      return res.json(data);
-    }
-  } catch (err) {
-    res.status(500).json({ error: err.message });
+    // user passed in a query: ranked over ICAO, IATA, name, city, state and
+    // country (exact codes first, see search_airports)
+    const { data, error } = await supabase.rpc("search_airports", {
+      p_query: query,
+      p_limit: req.query.limit,
+    });
+
+    if (error) throw error;
+    res.json(data);
+  },
+);
+
+// GET /api/airports/nearby?lat=&lon=&radius_km=&limit=
+// Airports nearest to a point first, each with distance_km, e.g. to
+// pre-select the airport from a photo's GPS position.
+router.get(
+  "/nearby",
+  authenticateToken,
+  validate({ query: nearbySchema }),
+  async (req, res) => {
+    const { lat, lon, radius_km, limit } = req.query;
+
+    const { data, error } = await supabase.rpc("nearby_airports", {
+      p_latitude: lat,
+      p_longitude: lon,
+      p_radius_km: radius_km,
+      p_limit: limit,
+    });
+
+    if (error) throw error;
+    res.json(data);
+  },
+);
+
+// Maps an OurAirports airports.csv row (or a record in our own column names)
+// onto createAirportSchema. Closed airports are skipped.
+const airportFromRecord = (record) => {
+  if (pickField(record, "type") === "closed") return null;
+
+  // "US-CA" -> "CA"
+  const region = pickField(record, "state", "iso_region");
+  return {
+    icao_code: pickField(record, "icao_code", "gps_code", "ident"),
+    name: pickField(record, "name"),
+    latitude: pickField(record, "latitude", "latitude_deg"),
+    longitude: pickField(record, "longitude", "longitude_deg"),
+    elevation: pickField(record, "elevation", "elevation_ft"),
+    state: region?.includes("-")
+      ? region.split("-").slice(1).join("-")
+      : region,
+    country: pickField(record, "country", "iso_country"),
+    iata_code: pickField(record, "iata_code"),
+    municipality: pickField(record, "municipality"),
+  };
+};
+
+// POST /api/airports/import?dry_run= (Admins Only)
+router.post(
+  "/import",
+  authenticateToken,
+  requireAdmin,
+  importUpload,
+  validate({ query: importQuery }),
+  async (req, res) => {
+    const result = await importRecords(readRecords(req), {
+      table: "Airport",
+      key: "icao_code",
+      columns: [
+        "name",
+        "latitude",
+        "longitude",
+        "elevation",
+        "state",
+        "country",
+        "iata_code",
+        "municipality",
+      ],
+      schema: createAirportSchema,
+      fromRecord: airportFromRecord,
+      dryRun: req.query.dry_run,
+    });
+
+    res.json(result);
+  },
+);
+
+const updateAirport = async (icaoCode, changes) => {
+  const { data, error } = await supabase
+    .from("Airport")
+    .update(changes)
+    .eq("icao_code", icaoCode)
+    .select()
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) {
+    throw httpError(404, "Airport not found");
   }
-});
+  return data;
+};
+
+// PUT /api/airports/:icao_code (Admins Only)
+router.put(
+  "/:icao_code",
+  authenticateToken,
+  requireAdmin,
+  validate({ params: airportParams, body: airportFieldsSchema }),
+  async (req, res) => {
+    res.json(
+      await updateAirport(
+        req.params.icao_code,
+        replacementRow(airportFieldsSchema, req.body),
+      ),
+    );
+  },
+);
+
+// PATCH /api/airports/:icao_code (Admins Only)
+router.patch(
+  "/:icao_code",
+  authenticateToken,
+  requireAdmin,
+  validate({ params: airportParams, body: patchAirportSchema }),
+  async (req, res) => {
+    res.json(await updateAirport(req.params.icao_code, req.body));
+  },
+);
+
+// DELETE /api/airports/:icao_code?replace_with=&cascade= (Admins Only)
+// Refused while photos use the airport, unless they're moved to
+// ?replace_with=<icao> or ?cascade=true clears their airport.
+router.delete(
+  "/:icao_code",
+  authenticateToken,
+  requireAdmin,
+  validate({ params: airportParams, query: deleteAirportQuery }),
+  async (req, res) => {
+    const { data, error } = await supabase.rpc("delete_airport", {
+      p_icao_code: req.params.icao_code,
+      p_replace_with: req.query.replace_with ?? null,
+      p_cascade: req.query.cascade,
+    });
+
+    if (error) throw fromDbError(error);
+    if (!data.deleted) {
+      throw httpError(
+        409,
+        `Airport is used by ${data.photo_count} photo(s). Pass replace_with or cascade=true to delete it.`,
+      );
+    }
+
+    res.json(data);
+  },
+);
+
+// --- SUBMISSIONS ---
+// Airports users enter with airport_code 'other' on a photo are held as
+// AirportSubmission rows (usable by the submitter straight away) until an
+// admin approves or merges them.
+
+// GET /api/airports/submissions?status=pending
+// Admins see every user's submissions, everyone else only their own.
+router.get(
+  "/submissions",
+  authenticateToken,
+  validate({ query: submissionListQuery }),
+  async (req, res) => {
+    let query = supabase
+      .from("AirportSubmission")
+      .select(
+        "*, User!AirportSubmission_user_id_fkey ( username ), Photo ( count )",
+      )
+      .eq("status", req.query.status)
+      .order("created_at", { ascending: true });
+
+    if (req.user.type !== "admin") {
+      query = query.eq("user_id", req.user.id);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    res.json(data);
+  },
+);
+
+// PATCH /api/airports/submissions/:id (Admins Only)
+// Fixes a pending submission before approving it.
+router.patch(
+  "/submissions/:id",
+  authenticateToken,
+  requireAdmin,
+  validate({ params: submissionParams, body: patchSubmissionSchema }),
+  async (req, res) => {
+    const { data, error } = await supabase
+      .from("AirportSubmission")
+      .update(req.body)
+      .eq("id", req.params.id)
+      .eq("status", "pending")
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      throw httpError(404, "Pending submission not found");
+    }
+    res.json(data);
+  },
+);
+
+// POST /api/airports/submissions/:id/approve (Admins Only)
+// Creates the airport and moves the photos of every pending submission of
+// that code onto it.
+router.post(
+  "/submissions/:id/approve",
+  authenticateToken,
+  requireAdmin,
+  validate({ params: submissionParams }),
+  async (req, res) => {
+    const { data, error } = await supabase.rpc("approve_airport_submission", {
+      p_id: req.params.id,
+      p_reviewer: req.user.id,
+    });
+
+    if (error) {
+      if (error.code === "23505") {
+        throw httpError(
+          409,
+          "An airport with this ICAO code already exists. Merge the submission into it instead.",
+        );
+      }
+      throw fromDbError(error);
+    }
+    res.json(data);
+  },
+);
+
+// POST /api/airports/submissions/:id/merge (Admins Only)
+// { airport_code } - moves the submission's photos onto an existing airport.
+router.post(
+  "/submissions/:id/merge",
+  authenticateToken,
+  requireAdmin,
+  validate({ params: submissionParams, body: mergeSubmissionSchema }),
+  async (req, res) => {
+    const { data, error } = await supabase.rpc("merge_airport_submission", {
+      p_id: req.params.id,
+      p_airport_code: req.body.airport_code,
+      p_reviewer: req.user.id,
+    });
+
+    if (error) throw fromDbError(error);
+    res.json(data);
+  },
+);
 
 module.exports = router;
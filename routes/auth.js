@@ -2,29 +2,62 @@
 const express = require("express");
 const router = express.Router();
 const bcrypt = require("bcrypt");
-const jwt = require("jsonwebtoken");
 const supabase = require("../db");
+const authenticateToken = require("../middleware/authMiddleware");
+const validate = require("../middleware/validate");
+const rateLimit = require("../middleware/rateLimit");
+const { envLimit } = require("../middleware/rateLimit");
+const { httpError } = require("../lib/errors");
+const { z, text, password, username } = require("../lib/validation");
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeAllSessions,
+} = require("../lib/sessions");
+const {
+  getLockoutRemaining,
+  recordLoginFailure,
+  clearLoginFailures,
+} = require("../lib/loginLockout");
+
+// Per-IP throttles. Limits can be tuned with the env vars named below.
+const loginLimiter = rateLimit({
+  name: "login",
+  windowMs: 15 * 60 * 1000,
+  max: envLimit("RATE_LIMIT_LOGIN_MAX", 20),
+  message: "Too many login attempts, please try again later.",
+});
+
+const registerLimiter = rateLimit({
+  name: "register",
+  windowMs: 60 * 60 * 1000,
+  max: envLimit("RATE_LIMIT_REGISTER_MAX", 5),
+  message: "Too many accounts created from this IP, please try again later.",
+});
+
+const refreshLimiter = rateLimit({
+  name: "refresh",
+  windowMs: 15 * 60 * 1000,
+  max: envLimit("RATE_LIMIT_REFRESH_MAX", 60),
+});
+
+const registerSchema = z.object({ username, password });
+
+// Login only checks presence: older accounts may predate the password rules
+const loginSchema = z.object({ username: text, password: z.string().min(1) });
+
+const refreshSchema = z.object({ refreshToken: text });
+
+const logoutSchema = z.object({ all: z.boolean().optional() });
+
+router.post(
+  "/register",
+  registerLimiter,
+  validate({ body: registerSchema }),
+  async (req, res) => {
+    const { username, password } = req.body;
 
-const generateJWT = (user) => {
-  return jwt.sign(
-    {
-      id: user.id,
-      username: user.username,
-      type: user.type,
-    },
-    process.env.JWT_SECRET,
-    { expiresIn: "30d" },
-  );
-};
-
-router.post("/register", async (req, res) => {
-  const { username, password } = req.body;
-
-  if (!username || !password) {
-    return res.status(400).json({ error: "Username and password required" });
-  }
-
-  try {
     const salt = await bcrypt.genSalt(10);
     const passwordHash = await bcrypt.hash(password, salt);
 
@@ -36,50 +69,100 @@ router.post("/register", async (req, res) => {
       .select()
       .single();
 
-    if (error) throw error;
+    if (error) {
+      if (error.code === "23505") {
+        throw httpError(409, "Username is already taken.");
+      }
+      throw error;
+    }
 
-    // 2. Generate Token with 'type'
-    const token = generateJWT(data);
+    // 2. Start a session: access token (with 'type') + refresh token
+    const { token, refreshToken } = await createSession(data, {
+      userAgent: req.headers["user-agent"],
+    });
 
     res.status(201).json({
       message: "User created successfully",
       token,
+      refreshToken,
       user: { id: data.id, username: data.username, type: data.type },
     });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+  },
+);
 
 // POST /login
-router.post("/login", async (req, res) => {
-  const { username, password } = req.body;
+router.post(
+  "/login",
+  loginLimiter,
+  validate({ body: loginSchema }),
+  async (req, res) => {
+    const { username, password } = req.body;
+
+    // Checked before touching the DB or bcrypt so a locked account costs nothing
+    const lockedMs = getLockoutRemaining(username);
+    if (lockedMs > 0) {
+      res.setHeader("Retry-After", Math.ceil(lockedMs / 1000));
+      throw httpError(
+        429,
+        "Too many failed login attempts for this account. Please try again later.",
+      );
+    }
 
-  try {
     const { data: user, error } = await supabase
       .from("User")
       .select("*")
       .eq("username", username)
-      .single();
+      .maybeSingle();
 
-    if (error || !user) {
-      return res.status(400).json({ error: "Invalid username or password" });
-    }
-
-    const validPass = await bcrypt.compare(password, user.password_hash);
+    if (error) throw error;
+    // Unknown usernames count as failures too, so lockouts don't reveal
+    // which accounts exist
+    const validPass =
+      user && (await bcrypt.compare(password, user.password_hash));
     if (!validPass) {
-      return res.status(400).json({ error: "Invalid username or password" });
+      recordLoginFailure(username);
+      throw httpError(400, "Invalid username or password");
     }
 
-    const token = generateJWT(user);
+    clearLoginFailures(username);
+
+    const { token, refreshToken } = await createSession(user, {
+      userAgent: req.headers["user-agent"],
+    });
 
     res.json({
       token,
+      refreshToken,
       user: { id: user.id, username: user.username, type: user.type },
     });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+  },
+);
+
+// POST /refresh - trade a refresh token for a new token pair
+router.post(
+  "/refresh",
+  refreshLimiter,
+  validate({ body: refreshSchema }),
+  async (req, res) => {
+    const tokens = await rotateSession(req.body.refreshToken);
+    res.json(tokens);
+  },
+);
+
+// POST /logout - ends this session, or every session with { all: true }
+router.post(
+  "/logout",
+  authenticateToken,
+  validate({ body: logoutSchema }),
+  async (req, res) => {
+    if (req.body.all) {
+      await revokeAllSessions(req.user.id);
+    } else {
+      await revokeSession(req.user.sid);
+    }
+
+    res.json({ message: "Logged out successfully" });
+  },
+);
 
 module.exports = router;
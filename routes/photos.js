@@ -4,741 +4,820 @@ const router = express.Router();
 const supabase = require("../db");
 const authenticateToken = require("../middleware/authMiddleware");
 const multer = require("multer");
-const sharp = require("sharp");
-const { S3Client, PutObjectCommand, DeleteObjectCommand } = require("@aws-sdk/client-s3");
 const crypto = require("crypto");
+const fs = require("fs/promises");
+const { extractExif, mergeExif } = require("../lib/exif");
+const { assertImage, renderRenditions } = require("../lib/images");
+const fileStorage = require("../lib/storage");
+const {
+  withImageUrls,
+  photoStorageKeys,
+  deleteStoredFiles,
+} = require("../lib/storage");
+const {
+  BASE_SELECT,
+  photoFiltersSchema,
+  PHOTO_SORTS,
+  applyPhotoFilters,
+  applyPhotoSort,
+  encodeCursor,
+  applyPhotoCursor,
+  photoFiltersPayload,
+} = require("../lib/photoQuery");
+const { httpError, fromDbError } = require("../lib/errors");
+const {
+  checkRegistration,
+  registrationWarning,
+  suggestAirlines,
+} = require("../lib/registrations");
+const validate = require("../middleware/validate");
+const { parseOrThrow } = require("../middleware/validate");
+const { toErrorResponse } = require("../middleware/errorHandler");
+const {
+  z,
+  optional,
+  json,
+  list,
+  text,
+  latitude,
+  longitude,
+  dateString,
+  icaoAirport,
+  icaoType,
+  visibility,
+  limitQuery,
+  flagQuery,
+  airlineCode,
+  id,
+  idParams,
+} = require("../lib/validation");
+
+const MAX_BULK_FILES = 250;
+
+// Full-resolution camera JPEGs stay well below this
+const MAX_FILE_SIZE = 40 * 1024 * 1024;
+
+// Rejects anything that isn't an image before it's buffered
+const imageFileFilter = (req, file, cb) => {
+  if (file.mimetype.startsWith("image/")) return cb(null, true);
+  cb(httpError(400, `${file.originalname} is not an image.`));
+};
 
-// --- S3 Configuration ---
-const s3 = new S3Client({
-  region: process.env.AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+  fileFilter: imageFileFilter,
 });
 
-const storage = multer.memoryStorage();
-const upload = multer({ storage: storage });
-
-const BASE_SELECT = `
-  *,
-  Airport ( name, icao_code ),
-  RegistrationHistory!inner (
-    registration,
-    airline,
-    is_current,
-    SpecificAircraft!inner (
-      manufactured_date,
-      AircraftType!inner ( icao_type, manufacturer, type, variant )
-    )
-  )
-`;
+// Bulk uploads go to temp files so a large batch isn't held in memory; each
+// file is read back only while it's processed. There's no file filter or size
+// limit here since multer would fail the whole batch: oversized files and
+// non-images are reported as failed items instead.
+const bulkUpload = multer({
+  storage: multer.diskStorage({}),
+  limits: {
+    files: MAX_BULK_FILES,
+    fieldSize: 1024 * 1024, // the `items` JSON
+  },
+});
 
-/**
- * Applies the standard filters used by both routes.
- */
-const applyPhotoFilters = (
-  query,
-  { userId, search, filterArray, filterColumn },
-) => {
-  query = query.eq("user_id", userId);
-
-  if (search) {
-    query = query.ilike("RegistrationHistory.registration", `%${search}%`);
-  }
+// --- SCHEMAS ---
+
+const photoListQuery = photoFiltersSchema;
+
+// Larger ?limit= values are clamped to this rather than rejected
+const MAX_PAGE_SIZE = 100;
+
+const myPhotosQuery = photoListQuery.extend({
+  page: optional(z.coerce.number().int().min(1)).default(1),
+  limit: optional(
+    z.coerce
+      .number()
+      .int()
+      .min(1)
+      .transform((value) => Math.min(value, MAX_PAGE_SIZE)),
+  ).default(9),
+  cursor: optional(z.string().max(500)),
+  include_total: optional(
+    z.enum(["true", "false"]).transform((value) => value === "true"),
+  ),
+  sort: optional(z.enum(Object.keys(PHOTO_SORTS))).default("taken_at"),
+  order: optional(z.enum(["asc", "desc"])),
+});
 
-  if (filterArray && filterArray.length > 0) {
-    query = query.in(filterColumn, filterArray);
-  }
+const randomPhotosQuery = photoListQuery.extend({
+  limit: optional(z.coerce.number().int().min(1).max(50)).default(5),
+  seed: optional(z.string().trim().max(100)),
+  exclude: optional(
+    list(id).refine((ids) => ids.length <= 500, "At most 500 ids"),
+  ).default([]),
+});
 
-  return query;
-};
+// The count endpoints take ?limit= plus the photo filters
+const countsQuery = (defaultLimit) =>
+  limitQuery(defaultLimit).extend(photoFiltersSchema.shape);
 
-// --- ROUTES ---
+const photoCountsQuery = photoFiltersSchema.extend({
+  num_years: optional(z.coerce.number().int().min(1).max(50)).default(5),
+});
 
-router.get("/my-photos", authenticateToken, async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 9;
-    const search = req.query.search || "";
-    const aircraftTypeFilter = req.query.aircraftTypeFilter
-      ? JSON.parse(req.query.aircraftTypeFilter)
-      : [];
-    const filterColumn = "RegistrationHistory.SpecificAircraft.icao_type";
-
-    let query = supabase
-      .from("Photo")
-      .select(BASE_SELECT, { count: "exact" })
-      .order("taken_at", { ascending: false });
-
-    query = applyPhotoFilters(query, {
-      userId: req.user.id,
-      search,
-      filterArray: aircraftTypeFilter,
-      filterColumn,
-    });
+// ?limit= caps the unseen lists; seen/total always count everything
+const airlineProgressParams = z.object({ code: airlineCode });
 
-    const from = (page - 1) * limit;
-    const to = from + limit - 1;
-    const { data, error, count } = await query.range(from, to);
+const airlineProgressQuery = limitQuery(100, 1000).extend({
+  current_only: flagQuery,
+});
 
-    if (error) throw error;
+const typeProgressQuery = limitQuery(100, 1000)
+  .extend({
+    manufacturer: optional(z.string().trim().max(100)),
+    type: optional(z.string().trim().max(100)),
+  })
+  .refine((query) => query.manufacturer || query.type, {
+    message: "A manufacturer or type is required",
+  });
+
+// Camera fields are free text but clients may send them as JSON numbers
+const cameraText = optional(z.coerce.string().trim().max(50));
+
+// Fields shared by upload (multipart) and update (JSON)
+const photoFieldsSchema = z
+  .object({
+    registration: optional(z.string().trim().max(20)),
+    airport_code: optional(z.string().trim()),
+
+    taken_at: optional(dateString),
+    shutter_speed: cameraText,
+    iso: optional(z.coerce.number().int().positive()),
+    aperture: cameraText,
+    camera_model: optional(z.coerce.string().trim().max(100)),
+    focal_length: cameraText,
+    latitude: optional(latitude),
+    longitude: optional(longitude),
+
+    // SpecificAircraft fields
+    aircraft_type_id: optional(icaoType),
+    manufactured_date: optional(dateString),
+    airline_code: optional(z.string().trim()),
+
+    // Registration History ID (optional, reuse existing)
+    uuid_rh: optional(z.uuid()),
+    // Existing airframe for a new registration (re-registration/transfer)
+    uuid_sa: optional(z.uuid()),
+
+    // Airport fields (if airport_code is 'other')
+    airport_icao_code: optional(icaoAirport),
+    airport_name: optional(text),
+    airport_latitude: optional(latitude),
+    airport_longitude: optional(longitude),
+
+    visibility: optional(visibility),
+  })
+  .superRefine((fields, ctx) => {
+    if (fields.airport_code !== "other") return;
+    for (const key of [
+      "airport_icao_code",
+      "airport_name",
+      "airport_latitude",
+      "airport_longitude",
+    ]) {
+      if (fields[key] === undefined) {
+        ctx.addIssue({
+          code: "custom",
+          path: [key],
+          message: "Required for 'other' airport",
+        });
+      }
+    }
+  });
 
-    res.json({
-      data,
-      meta: {
-        page,
-        limit,
-        total: count,
-        totalPages: Math.ceil(count / limit),
-      },
-    });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+const bulkBodySchema = z.object({
+  defaults: optional(json(z.record(z.string(), z.unknown()))).default({}),
+  items: optional(json(z.array(z.record(z.string(), z.unknown())))).default([]),
 });
 
-router.get("/my-photos/random", authenticateToken, async (req, res) => {
-  try {
-    const limit = 5;
-    const search = req.query.search || "";
-    const aircraftTypeFilter = req.query.aircraftTypeFilter
-      ? JSON.parse(req.query.aircraftTypeFilter)
-      : [];
-
-    const filterColumn = "RegistrationHistory.SpecificAircraft.icao_type";
-
-    const filterParams = {
-      userId: req.user.id,
-      search,
-      filterArray: aircraftTypeFilter,
-      filterColumn,
-    };
+const visibilityBodySchema = z.object({ visibility });
 
-    let countQuery = supabase
-      .from("Photo")
-      .select("RegistrationHistory!inner(SpecificAircraft!inner(icao_type))", {
-        count: "exact",
-        head: true,
-      });
+// --- ROUTES ---
 
-    countQuery = applyPhotoFilters(countQuery, filterParams);
+// GET /api/photos/my-photos
+// Pages by ?cursor= (meta.nextCursor of the previous page) or, as before, by
+// ?page=. Offset pages include the total count; cursor pages only with
+// ?include_total=true, since counting the joined select is the slow part.
+router.get(
+  "/my-photos",
+  authenticateToken,
+  validate({ query: myPhotosQuery }),
+  async (req, res) => {
+    const { page, limit, cursor, sort, order } = req.query;
+    const includeTotal = req.query.include_total ?? !cursor;
 
-    const { count, error: countError } = await countQuery;
-    if (countError) throw countError;
+    const filtered = (options) =>
+      applyPhotoFilters(supabase.from("Photo").select(BASE_SELECT, options), {
+        userId: req.user.id,
+        filters: req.query,
+      });
 
-    if (count === 0) {
-      return res.json({ data: [], meta: { total: 0, limit } });
+    // Page queries count inline; a cursor page only holds the rows after the
+    // cursor, so the collection total needs its own count
+    let query = filtered(includeTotal && !cursor ? { count: "exact" } : {});
+    if (cursor) {
+      query = applyPhotoCursor(query, cursor, sort, order);
     }
-
-    let randomOffset = 0;
-    if (count > limit) {
-      randomOffset = Math.floor(Math.random() * (count - limit));
+    query = applyPhotoSort(query, sort, order);
+
+    // One row past the page tells whether there is a next one
+    const from = cursor ? 0 : (page - 1) * limit;
+    const [result, totalResult] = await Promise.all([
+      query.range(from, from + limit),
+      includeTotal && cursor ? filtered({ count: "exact", head: true }) : null,
+    ]);
+
+    if (result.error) throw result.error;
+    if (totalResult?.error) throw totalResult.error;
+
+    const data = result.data;
+    const count = totalResult ? totalResult.count : result.count;
+
+    const photos = data.slice(0, limit);
+    const hasMore = data.length > limit;
+
+    const meta = {
+      limit,
+      hasMore,
+      nextCursor: hasMore
+        ? encodeCursor(photos[photos.length - 1], sort, order)
+        : null,
+    };
+    if (!cursor) meta.page = page;
+    if (includeTotal) {
+      meta.total = count;
+      meta.totalPages = Math.ceil(count / limit);
     }
 
-    let dataQuery = supabase.from("Photo").select(BASE_SELECT);
+    res.json({ data: photos.map(withImageUrls), meta });
+  },
+);
 
-    dataQuery = applyPhotoFilters(dataQuery, filterParams);
+// GET /api/photos/my-photos/random?limit=&seed=&exclude=
+// Takes the same filters as /my-photos. seed makes the pick repeatable (pass
+// the date for a photo of the day); exclude lists ids shown recently.
+router.get(
+  "/my-photos/random",
+  authenticateToken,
+  validate({ query: randomPhotosQuery }),
+  async (req, res) => {
+    const { limit, seed, exclude } = req.query;
 
-    const { data, error: dataError } = await dataQuery.range(
-      randomOffset,
-      randomOffset + limit - 1,
-    );
+    const { data, error } = await supabase
+      .rpc("random_user_photos", {
+        p_user_id: req.user.id,
+        p_filters: photoFiltersPayload(req.query),
+        p_limit: limit,
+        p_seed: seed ?? null,
+        p_exclude: exclude.length > 0 ? exclude : null,
+      })
+      .select(BASE_SELECT);
 
-    if (dataError) throw dataError;
+    if (error) throw error;
 
     res.json({
-      data,
-      meta: {
-        total: count,
-        limit,
-        offset: randomOffset,
-      },
+      data: data.map(withImageUrls),
+      meta: { limit, seed: seed ?? null },
     });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
-  }
-});
+  },
+);
 
-router.get("/airline-counts", authenticateToken, async (req, res) => {
-  try {
+router.get(
+  "/airline-counts",
+  authenticateToken,
+  validate({ query: countsQuery(10) }),
+  async (req, res) => {
     const { data, error } = await supabase.rpc("get_airline_counts_by_user", {
       p_user_id: req.user.id,
-      p_limit: req.query.limit ? parseInt(req.query.limit) : 10,
+      p_limit: req.query.limit,
+      p_filters: photoFiltersPayload(req.query),
     });
 
     if (error) throw error;
 
     res.json(data);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+  },
+);
 
-router.get("/airport-counts", authenticateToken, async (req, res) => {
-  try {
+router.get(
+  "/airport-counts",
+  authenticateToken,
+  validate({ query: countsQuery(10) }),
+  async (req, res) => {
     const { data, error } = await supabase.rpc("get_airport_counts_by_user", {
       p_user_id: req.user.id,
-      p_limit: req.query.limit ? parseInt(req.query.limit) : 10,
+      p_limit: req.query.limit,
+      p_filters: photoFiltersPayload(req.query),
     });
 
     if (error) throw error;
 
     res.json(data);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+  },
+);
 
-router.get("/airplane-counts", authenticateToken, async (req, res) => {
-  try {
-    const limit = req.query.limit ? parseInt(req.query.limit) : 8;
+router.get(
+  "/airplane-counts",
+  authenticateToken,
+  validate({ query: countsQuery(8) }),
+  async (req, res) => {
+    const { limit } = req.query;
     const { data, error } = await supabase.rpc("get_airplane_counts_by_user", {
       p_user_id: req.user.id,
       p_limit: limit,
+      p_filters: photoFiltersPayload(req.query),
     });
 
     if (error) throw error;
 
     res.json(data);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+  },
+);
 
-router.get("/manufacturer-counts", authenticateToken, async (req, res) => {
-  try {
-    const limit = req.query.limit ? parseInt(req.query.limit) : 8;
+router.get(
+  "/manufacturer-counts",
+  authenticateToken,
+  validate({ query: countsQuery(8) }),
+  async (req, res) => {
+    const { limit } = req.query;
     const { data, error } = await supabase.rpc(
       "get_manufacturer_counts_by_user",
       {
         p_user_id: req.user.id,
         p_limit: limit,
+        p_filters: photoFiltersPayload(req.query),
       },
     );
 
     if (error) throw error;
 
     res.json(data);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+  },
+);
 
-router.get("/most-seen-aircraft", authenticateToken, async (req, res) => {
-  try {
-    const limit = req.query.limit ? parseInt(req.query.limit) : 8;
+router.get(
+  "/most-seen-aircraft",
+  authenticateToken,
+  validate({ query: countsQuery(8) }),
+  async (req, res) => {
+    const { limit } = req.query;
     const { data, error } = await supabase.rpc(
       "get_most_seen_aircraft_by_user",
       {
         p_user_id: req.user.id,
         p_limit: limit,
+        p_filters: photoFiltersPayload(req.query),
       },
     );
 
     if (error) throw error;
 
     res.json(data);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+  },
+);
 
-router.get("/photo-counts", authenticateToken, async (req, res) => {
-  try {
+router.get(
+  "/photo-counts",
+  authenticateToken,
+  validate({ query: photoCountsQuery }),
+  async (req, res) => {
     const { data, error } = await supabase.rpc(
       "get_user_photo_counts_by_user_and_by_year",
       {
         p_user_id: req.user.id,
-        p_num_years: req.query.num_years ? parseInt(req.query.num_years) : 5,
+        p_num_years: req.query.num_years,
+        p_filters: photoFiltersPayload(req.query),
       },
     );
 
     if (error) throw error;
 
     res.json(data);
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
+  },
+);
+
+// GET /api/photos/life-list
+// The first sighting (date and photo) of every aircraft type, airline and
+// airframe in the user's collection: { types, airlines, airframes }, each in
+// the order they were first seen.
+router.get("/life-list", authenticateToken, async (req, res) => {
+  const { data, error } = await supabase.rpc("get_life_list", {
+    p_user_id: req.user.id,
+  });
+
+  if (error) throw error;
+
+  const withPhotoUrls = (entries) =>
+    entries.map((entry) => ({ ...entry, photo: withImageUrls(entry.photo) }));
+
+  res.json({
+    types: withPhotoUrls(data.types),
+    airlines: withPhotoUrls(data.airlines),
+    airframes: withPhotoUrls(data.airframes),
+  });
 });
 
-// --- UPDATED POST ROUTE ---
-router.post(
-  "/",
+// GET /api/photos/progress/airlines/:code?current_only=&limit=
+// How much of an airline's fleet the user has photographed: { airline, seen,
+// total, unseen } where seen/total count its RegistrationHistory entries and
+// unseen lists the registrations still missing.
+router.get(
+  "/progress/airlines/:code",
   authenticateToken,
-  upload.single("image"), // Expect a file field named "image"
+  validate({ params: airlineProgressParams, query: airlineProgressQuery }),
   async (req, res) => {
-    let {
-      registration,
-      airport_code,
-      
-      taken_at,
-      shutter_speed,
-      iso,
-      aperture,
-      camera_model,
-      focal_length,
+    const { data, error } = await supabase.rpc("get_airline_progress", {
+      p_user_id: req.user.id,
+      p_airline: req.params.code,
+      p_current_only: req.query.current_only,
+      p_limit: req.query.limit,
+    });
 
-      // SpecificAircraft fields
-      aircraft_type_id, // optional
-      manufactured_date, // optional
-      airline_code, // optional
+    if (error) throw fromDbError(error);
+    res.json(data);
+  },
+);
 
-      // Registration History ID (optional, reuse existing)
-      uuid_rh,
+// GET /api/photos/progress/types?manufacturer=&type=&limit=
+// Progress through an aircraft family, e.g. ?manufacturer=Airbus&type=A320:
+// { variants, airframes }, each { seen, total, unseen } over the matching
+// AircraftType rows and the airframes of those types.
+router.get(
+  "/progress/types",
+  authenticateToken,
+  validate({ query: typeProgressQuery }),
+  async (req, res) => {
+    const { data, error } = await supabase.rpc("get_type_family_progress", {
+      p_user_id: req.user.id,
+      p_manufacturer: req.query.manufacturer ?? null,
+      p_type: req.query.type ?? null,
+      p_limit: req.query.limit,
+    });
 
-      // Airport fields (if airport_code is 'other')
-      airport_icao_code,
-      airport_name,
-      airport_latitude,
-      airport_longitude,
-    } = req.body;
+    if (error) throw fromDbError(error);
+    res.json({
+      manufacturer: req.query.manufacturer ?? null,
+      type: req.query.type ?? null,
+      ...data,
+    });
+  },
+);
 
-    // Default nulls if empty strings
-    taken_at = taken_at || null;
-    shutter_speed = shutter_speed || null;
-    iso = iso || null;
-    aperture = aperture || null;
-    camera_model = camera_model || null;
-    focal_length = focal_length || null;
-    manufactured_date = manufactured_date || null;
-
-    if (!req.file) {
-      return res.status(400).json({ error: "Image file is required." });
-    }
+/**
+ * Builds the p_new_airport payload for 'other' airports, or null. Unknown
+ * codes become the user's pending AirportSubmission, not a shared Airport.
+ * Expects fields already parsed by photoFieldsSchema.
+ */
+const newAirportFromFields = (fields) => {
+  if (fields.airport_code !== "other") return null;
+
+  return {
+    icao_code: fields.airport_icao_code,
+    name: fields.airport_name,
+    latitude: fields.airport_latitude,
+    longitude: fields.airport_longitude,
+  };
+};
 
-    try {
-      // 1. Process Image
-      // Resize to ensure it's under ~500KB (heuristic: 1920px max width, 80% quality)
-      const buffer = await sharp(req.file.buffer)
-        .resize({ width: 1920, withoutEnlargement: true })
-        .jpeg({ quality: 80, mozjpeg: true }) 
-        .toBuffer();
-
-      // Determine if it's actually under 500KB
-      // If not, could resize more aggressively, but 80% quality jpeg at 1920px is typically small enough.
-      
-      // 2. Upload to S3
-      const fileName = crypto.randomBytes(16).toString("hex") + ".jpg";
-      const params = {
-        Bucket: process.env.AWS_BUCKET_NAME,
-        Key: `photos/${req.user.id}/${fileName}`,
-        Body: buffer,
-        ContentType: "image/jpeg",
-        // ACL: 'public-read' // Optional if using bucket policy
-      };
-
-      const command = new PutObjectCommand(params);
-      await s3.send(command);
-
-      const image_url = `https://${process.env.AWS_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/photos/${req.user.id}/${fileName}`;
-
-      // 3. Database Operations (Airport, Aircraft, Photo)
-      
-      // ... (Same logic as before for Airport/Aircraft) ...
-      if (airport_code === "other") {
-        if (
-          !airport_icao_code ||
-          !airport_name ||
-          !airport_latitude ||
-          !airport_longitude
-        ) {
-          return res.status(400).json({
-            error: "All airport fields are required for 'other' airport.",
-          });
-        }
-        const { error: airportError } = await supabase.from("Airport").insert([
-          {
-            icao_code: airport_icao_code.toUpperCase(),
-            name: airport_name,
-            latitude: parseFloat(airport_latitude),
-            longitude: parseFloat(airport_longitude),
-          },
-        ]);
-        if (airportError) {
-          return res.status(500).json({
-            error: `Failed to insert airport: ${airportError.message}`,
-          });
-        }
-        airport_code = airport_icao_code.toUpperCase();
-      }
+/**
+ * The registration to look up or save for parsed photo fields. Registrations
+ * not linked by uuid_rh are put in their national spelling ("GEUPT" ->
+ * "G-EUPT"); ones matching no known format are kept as typed, with a warning.
+ * Returns { registration, warnings }.
+ */
+const normalizeRegistration = (fields) => {
+  if (!fields.registration || fields.uuid_rh) {
+    return { registration: fields.registration, warnings: [] };
+  }
 
-      // If uuid_rh is provided (reusing existing history), we skip creation.
-      // Otherwise, we create new history or look it up.
-      if (!uuid_rh) {
-        if (aircraft_type_id) {
-            // Create Specific Aircraft
-            const { data: saData, error: saError } = await supabase
-            .from("SpecificAircraft")
-            .insert([{ icao_type: aircraft_type_id, manufactured_date }])
-            .select()
-            .single();
-
-            if (saError) {
-            return res.status(500).json({
-                error: `Failed to insert specific aircraft: ${saError.message}`,
-            });
-            }
-
-            // Create Registration History
-            const { data: rhData, error: rhError } = await supabase
-            .from("RegistrationHistory")
-            .insert([
-                {
-                uuid_sa: saData.uuid,
-                registration: registration.toUpperCase(),
-                airline: airline_code,
-                is_current: true, // Assuming new entries are current
-                },
-            ])
-            .select()
-            .single();
-            if (rhError) {
-            return res.status(500).json({
-                error: `Failed to insert registration history: ${rhError.message}`,
-            });
-            }
-            uuid_rh = rhData.uuid_rh;
-        } else {
-            // Fallback: Try to find existing registration (should generally be handled by specific selection now)
-            const { data: rhData, error: rhLookupError } = await supabase
-            .from("RegistrationHistory")
-            .select("uuid_rh")
-            .eq("registration", registration.toUpperCase())
-            .limit(1);
-
-            if (rhLookupError) {
-            return res.status(500).json({ error: rhLookupError.message });
-            }
-            if (!rhData || rhData.length === 0) {
-            return res.status(404).json({
-                error: "Registration not found. Please provide aircraft details.",
-            });
-            }
-            uuid_rh = rhData[0].uuid_rh;
-        }
-      }
+  const check = checkRegistration(fields.registration);
+  const warning = registrationWarning(check);
+  return {
+    registration: check.registration,
+    warnings: warning ? [warning] : [],
+  };
+};
+
+/**
+ * Runs the full upload pipeline for one image: EXIF, resize, storage upload,
+ * then Airport/SpecificAircraft/RegistrationHistory/Photo in one transaction
+ * (create_photo). Uploaded files are removed again if the DB write fails.
+ * Throws an error with a `status` for anything the client should see as 4xx.
+ * Resolves to the photo plus `firsts` ({ new_type, new_airline,
+ * new_airframe }), `warnings` and, for a new registration without an airline,
+ * `suggested_airlines` inferred from the airlines' reg rules.
+ */
+const createPhoto = async (userId, file, rawFields) => {
+  if (!file) {
+    throw httpError(400, "Image file is required.");
+  }
+
+  await assertImage(file.buffer);
+
+  const fields = parseOrThrow(photoFieldsSchema, rawFields);
+  const newAirport = newAirportFromFields(fields);
+
+  const { registration, warnings } = normalizeRegistration(fields);
+  let suggestedAirlines = [];
+  if (registration && !fields.uuid_rh && !fields.airline_code) {
+    suggestedAirlines = await suggestAirlines(registration);
+  }
+
+  // 0. Read EXIF from the original file (sharp drops it on re-encode)
+  // and use it for anything the client left empty
+  const exif = await extractExif(file.buffer);
+  const meta = mergeExif(
+    {
+      taken_at: fields.taken_at,
+      shutter_speed: fields.shutter_speed,
+      iso: fields.iso,
+      aperture: fields.aperture,
+      camera_model: fields.camera_model,
+      focal_length: fields.focal_length,
+      latitude: fields.latitude,
+      longitude: fields.longitude,
+    },
+    exif,
+  );
+
+  // 1. Process Image into every rendition (thumbnail, medium, full)
+  const baseName = crypto.randomBytes(16).toString("hex");
+  const renditions = await renderRenditions(file.buffer, userId, baseName);
+
+  const images = {};
+  for (const rendition of renditions) {
+    images[rendition.name] = rendition.key;
+  }
 
-      // Insert Photo
-      const { data, error } = await supabase
-        .from("Photo")
-        .insert([
-          {
-            user_id: req.user.id,
-            uuid_rh: uuid_rh,
-            airport_code,
-            image_url, // S3 URL
-            taken_at,
-            shutter_speed,
-            iso,
-            aperture,
-            camera_model,
-            focal_length,
-          },
-        ])
-        .select();
-
-      if (error) throw error;
-      res.status(201).json(data[0]);
-
-    } catch (err) {
-      console.error(err);
-      res.status(500).json({ error: err.message });
+  // 2. Upload to storage
+  const uploadedKeys = [];
+  try {
+    for (const rendition of renditions) {
+      await fileStorage.put(
+        rendition.key,
+        rendition.buffer,
+        rendition.contentType,
+      );
+      uploadedKeys.push(rendition.key);
     }
+  } catch (err) {
+    await deleteStoredFiles(uploadedKeys);
+    throw err;
+  }
+
+  // 3. Database Operations (Airport, Aircraft, Photo) in a single transaction
+  const { data, error } = await supabase.rpc("create_photo", {
+    p_user_id: userId,
+    p_photo: {
+      airport_code: newAirport ? null : fields.airport_code || null,
+      image_key: images.full, // storage key of the full size
+      images, // { thumbnail, medium, full } storage keys
+      taken_at: meta.taken_at || null,
+      shutter_speed: meta.shutter_speed || null,
+      iso: meta.iso || null,
+      aperture: meta.aperture || null,
+      camera_model: meta.camera_model || null,
+      focal_length: meta.focal_length || null,
+      latitude: meta.latitude ?? null,
+      longitude: meta.longitude ?? null,
+      visibility: fields.visibility || null, // defaults to private
+    },
+    p_aircraft: {
+      uuid_rh: fields.uuid_rh || null,
+      uuid_sa: fields.uuid_sa || null,
+      registration: registration || null,
+      aircraft_type_id: fields.aircraft_type_id || null,
+      manufactured_date: fields.manufactured_date || null,
+      airline_code: fields.airline_code || null,
+    },
+    p_new_airport: newAirport,
+  });
+
+  if (error) {
+    // Nothing references the files now, so don't leave them behind
+    await deleteStoredFiles(uploadedKeys);
+    throw fromDbError(error);
+  }
+
+  // 4. Is this the user's first of its type, airline or airframe? The photo
+  // is saved either way, so a failure here only loses the flags
+  const { data: firsts, error: firstsError } = await supabase.rpc(
+    "get_photo_firsts",
+    { p_user_id: userId, p_photo_id: data.id },
+  );
+  if (firstsError) {
+    console.error("Failed to check photo firsts:", firstsError);
+  }
+
+  return {
+    ...withImageUrls(data),
+    firsts: firsts ?? null,
+    warnings,
+    suggested_airlines: suggestedAirlines,
+  };
+};
+router.post(
+  "/",
+  authenticateToken,
+  upload.single("image"), // Expect a file field named "image"
+  async (req, res) => {
+    const photo = await createPhoto(req.user.id, req.file, req.body);
+    res.status(201).json(photo);
   },
 );
 
-router.delete("/:id", authenticateToken, async (req, res) => {
-  const photoId = req.params.id;
+const removeTempFiles = (files) =>
+  Promise.all(
+    files.map((file) =>
+      fs.unlink(file.path).catch((err) => {
+        console.error(`Failed to remove temp file ${file.path}:`, err);
+      }),
+    ),
+  );
+
+// POST /api/photos/bulk
+// Multipart body:
+//   images   - one or more files
+//   defaults - JSON object of fields applied to every image (e.g. airport_code)
+//   items    - JSON array of per-image fields, matched to images by index
+// Each image is processed independently; a failure on one is reported in its
+// result and doesn't affect the others.
+router.post(
+  "/bulk",
+  authenticateToken,
+  bulkUpload.array("images", MAX_BULK_FILES),
+  async (req, res) => {
+    const files = req.files || [];
+    const results = [];
 
-  try {
-    // 1. Fetch photo to get image_url and uuid_rh
-    const { data: photo, error: fetchError } = await supabase
-      .from("Photo")
-      .select("image_url, uuid_rh")
-      .eq("id", photoId)
-      .eq("user_id", req.user.id)
-      .single();
+    try {
+      // Validated here rather than by middleware so the temp files are
+      // removed on a bad body too
+      const { defaults, items } = parseOrThrow(bulkBodySchema, req.body);
 
-    if (fetchError || !photo) {
-      return res.status(404).json({ error: "Photo not found or access denied" });
-    }
+      if (files.length === 0) {
+        throw httpError(400, "At least one image is required.");
+      }
 
-    // 2. Delete from S3
-    if (photo.image_url) {
-      const parts = photo.image_url.split(".com/");
-      if (parts.length > 1) {
-        const key = parts[1];
-        const deleteParams = {
-          Bucket: process.env.AWS_BUCKET_NAME,
-          Key: key,
-        };
+      // Sequential on purpose: sharp is CPU-heavy and each file hits S3 + DB
+      for (let i = 0; i < files.length; i++) {
+        const file = files[i];
         try {
-          await s3.send(new DeleteObjectCommand(deleteParams));
-        } catch (s3Err) {
-          console.error("Failed to delete from S3:", s3Err);
-          // Continue to delete from DB even if S3 fails
+          if (file.size > MAX_FILE_SIZE) {
+            throw httpError(413, "File too large");
+          }
+          const buffer = await fs.readFile(file.path);
+          const photo = await createPhoto(
+            req.user.id,
+            { ...file, buffer },
+            { ...defaults, ...(items[i] || {}) },
+          );
+          results.push({
+            index: i,
+            filename: file.originalname,
+            success: true,
+            photo,
+          });
+        } catch (err) {
+          const { status, body } = toErrorResponse(err);
+          if (status >= 500) {
+            console.error(`Bulk upload failed for ${file.originalname}:`, err);
+          }
+          results.push({
+            index: i,
+            filename: file.originalname,
+            success: false,
+            status,
+            ...body,
+          });
         }
       }
+    } finally {
+      await removeTempFiles(files);
     }
 
-    // 3. Delete from Database
-    const { error: deleteError } = await supabase
-      .from("Photo")
-      .delete()
-      .eq("id", photoId);
+    const succeeded = results.filter((r) => r.success).length;
 
-    if (deleteError) {
-      return res.status(500).json({ error: "Failed to delete photo record" });
-    }
+    res.status(succeeded > 0 ? 201 : 400).json({
+      results,
+      meta: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+      },
+    });
+  },
+);
 
-    // 4. Cleanup Logic
-    if (photo.uuid_rh) {
-      const { count: photoCount } = await supabase
-        .from("Photo")
-        .select("*", { count: "exact", head: true })
-        .eq("uuid_rh", photo.uuid_rh);
-
-      if (photoCount === 0) {
-        // Get uuid_sa before deleting RH
-        const { data: rhData } = await supabase
-          .from("RegistrationHistory")
-          .select("uuid_sa")
-          .eq("uuid_rh", photo.uuid_rh)
-          .single();
-
-        await supabase
-          .from("RegistrationHistory")
-          .delete()
-          .eq("uuid_rh", photo.uuid_rh);
-
-        if (rhData && rhData.uuid_sa) {
-          const { count: rhCount } = await supabase
-            .from("RegistrationHistory")
-            .select("*", { count: "exact", head: true })
-            .eq("uuid_sa", rhData.uuid_sa);
-
-          if (rhCount === 0) {
-            await supabase
-              .from("SpecificAircraft")
-              .delete()
-              .eq("uuid", rhData.uuid_sa);
-          }
-        }
-      }
-    }
+router.delete(
+  "/:id",
+  authenticateToken,
+  validate({ params: idParams }),
+  async (req, res) => {
+    // 1. Delete the photo and any aircraft rows it orphans in one transaction
+    const { data: photo, error } = await supabase.rpc("delete_photo", {
+      p_user_id: req.user.id,
+      p_photo_id: req.params.id,
+    });
 
-    res.json({ message: "Photo deleted and cleanup performed successfully" });
-  } catch (err) {
-    console.error("Delete photo error:", err);
-    res.status(500).json({ error: "Internal server error" });
-  }
-});
+    if (error) throw fromDbError(error);
 
+    // 2. Delete every rendition from storage once the DB change is committed
+    await deleteStoredFiles(photoStorageKeys(photo));
 
-router.put("/:id", authenticateToken, async (req, res) => {
-  const photoId = req.params.id;
-  const {
-    // Metadata fields
-    taken_at,
-    shutter_speed,
-    iso,
-    aperture,
-    camera_model,
-    focal_length,
-
-    // Registration/Aircraft fields (optional)
-    aircraft_type_id,
-    manufactured_date,
-    airline_code,
-    uuid_rh: new_uuid_rh, // If provided, we link to this existing history
-    registration, // If provided, we might need to find/create
-
-    // Airport fields
-    airport_code,
-    airport_icao_code,
-    airport_name,
-    airport_latitude,
-    airport_longitude,
-  } = req.body;
+    res.json({ message: "Photo deleted and cleanup performed successfully" });
+  },
+);
 
-  try {
-    // 1. Fetch current photo to get old uuid_rh
-    const { data: currentPhoto, error: fetchError } = await supabase
+// PUT /api/photos/:id/visibility
+router.put(
+  "/:id/visibility",
+  authenticateToken,
+  validate({ params: idParams, body: visibilityBodySchema }),
+  async (req, res) => {
+    const { data, error } = await supabase
       .from("Photo")
-      .select("uuid_rh")
-      .eq("id", photoId)
+      .update({ visibility: req.body.visibility })
+      .eq("id", req.params.id)
       .eq("user_id", req.user.id)
-      .single();
+      .select("id, visibility, share_id");
 
-    if (fetchError || !currentPhoto) {
-      return res.status(404).json({ error: "Photo not found or unauthorized" });
+    if (error) throw error;
+    if (data.length === 0) {
+      throw httpError(404, "Photo not found or unauthorized");
     }
 
-    const old_uuid_rh = currentPhoto.uuid_rh;
-    let final_uuid_rh = old_uuid_rh;
-    let final_airport_code = airport_code;
-
-    // 1b. Handle Airport Logic
-    // If airport_code is "other", we might need to create a new Airport
-    if (airport_code === "other") {
-        if (
-          !airport_icao_code ||
-          !airport_name ||
-          !airport_latitude ||
-          !airport_longitude
-        ) {
-          return res.status(400).json({
-            error: "All airport fields are required for 'other' airport.",
-          });
-        }
-        // Try insert (or upsert/ignore if exists? usually insert for new Custom airports)
-        // Check if exists first to avoid error? Or just insert and catch unique violation?
-        // Post route does insert. Let's do same.
-        const { error: airportError } = await supabase.from("Airport").insert([
-          {
-            icao_code: airport_icao_code.toUpperCase(),
-            name: airport_name,
-            latitude: parseFloat(airport_latitude),
-            longitude: parseFloat(airport_longitude),
-          },
-        ]).select(); // select to ensure it worked?
-
-        // If it already exists (duplicate key), we can probably just proceed using that code.
-        if (airportError) {
-             // If unique violation, that's fine, just use the code. 
-             // But if specific error, might be issue. 
-             // For now assume if error code 23505 (unique_violation), we are good.
-             if (airportError.code !== '23505') {
-                 return res.status(500).json({
-                    error: `Failed to insert airport: ${airportError.message}`,
-                  });
-             }
-        }
-        final_airport_code = airport_icao_code.toUpperCase();
-    }
+    res.json(data[0]);
+  },
+);
+
+router.put(
+  "/:id",
+  authenticateToken,
+  validate({ params: idParams, body: photoFieldsSchema }),
+  async (req, res) => {
+    const {
+      // Metadata fields
+      taken_at,
+      shutter_speed,
+      iso,
+      aperture,
+      camera_model,
+      focal_length,
 
-    // 2. Handle Registration Change Logic
-    // If new_uuid_rh is explicitly provided (user selected existing), use it.
-    // If registration text is provided and different/new, we might need to find/create.
-    // Ideally, the frontend should resolve to a uuid_rh or provide details to create one (like POST).
+      // Registration/Aircraft fields (optional)
+      aircraft_type_id,
+      manufactured_date,
+      airline_code,
+      uuid_rh, // If provided, we link to this existing history
+      uuid_sa, // If provided with registration, add it to this airframe
 
-    // Scenario A: User selected an existing aircraft (new_uuid_rh provided)
-    if (new_uuid_rh && new_uuid_rh !== old_uuid_rh) {
-      final_uuid_rh = new_uuid_rh;
-    }
-    // Scenario B: User entered a NEW registration (registration + aircraft details provided)
-    else if (registration && !new_uuid_rh) {
-        // This mimics the POST logic for creating/finding
-        if (aircraft_type_id) {
-             // Create Specific Aircraft
-             const { data: saData, error: saError } = await supabase
-             .from("SpecificAircraft")
-             .insert([{ icao_type: aircraft_type_id, manufactured_date: manufactured_date || null }])
-             .select()
-             .single();
- 
-             if (saError) throw saError;
- 
-             // Create Registration History
-             const { data: rhData, error: rhError } = await supabase
-             .from("RegistrationHistory")
-             .insert([
-                 {
-                 uuid_sa: saData.uuid,
-                 registration: registration.toUpperCase(),
-                 airline: airline_code || null,
-                 is_current: true,
-                 },
-             ])
-             .select()
-             .single();
-             if (rhError) throw rhError;
-             final_uuid_rh = rhData.uuid_rh;
-        } else {
-            // Fallback lookup (should likely not happen if frontend forces selection/creation)
-             const { data: rhData, error: rhLookupError } = await supabase
-             .from("RegistrationHistory")
-             .select("uuid_rh")
-             .eq("registration", registration.toUpperCase())
-             .limit(1);
-
-             if (!rhLookupError && rhData && rhData.length > 0) {
-                 final_uuid_rh = rhData[0].uuid_rh;
-             }
-        }
-    }
+      // Airport fields
+      airport_code,
 
-    // 3. Update Photo Record
-    const updates = {
-      taken_at: taken_at || null,
-      shutter_speed: shutter_speed || null,
-      iso: iso || null,
-      aperture: aperture || null,
-      camera_model: camera_model || null,
-      focal_length: focal_length || null,
-      airport_code: final_airport_code,
-    };
+      visibility, // optional, unchanged when omitted
+    } = req.body;
 
-    if (final_uuid_rh !== old_uuid_rh) {
-      updates.uuid_rh = final_uuid_rh;
-    }
+    const newAirport = newAirportFromFields(req.body);
+    // update_photo finds or creates the registration's history, if one is sent
+    const { registration, warnings } = normalizeRegistration(req.body);
 
-    const { error: updateError } = await supabase
-      .from("Photo")
-      .update(updates)
-      .eq("id", photoId)
-      .eq("user_id", req.user.id);
-
-    if (updateError) throw updateError;
-
-    // 4. Cleanup Validation (if registration changed)
-    if (final_uuid_rh !== old_uuid_rh && old_uuid_rh) {
-      // Check if any photos still use the OLD uuid_rh
-      const { count: photoCount, error: countError } = await supabase
-        .from("Photo")
-        .select("*", { count: "exact", head: true })
-        .eq("uuid_rh", old_uuid_rh);
-
-      if (!countError && photoCount === 0) {
-        // No photos use this RH anymore. Logic to delete it?
-        // First get the uuid_sa to potentially clean that up too
-        const { data: oldRhData } = await supabase
-            .from("RegistrationHistory")
-            .select("uuid_sa")
-            .eq("uuid_rh", old_uuid_rh)
-            .single();
-        
-        // Delete the orphaned RegistrationHistory
-        await supabase
-          .from("RegistrationHistory")
-          .delete()
-          .eq("uuid_rh", old_uuid_rh);
-
-        // Now check if the SpecificAircraft is orphaned
-        if (oldRhData && oldRhData.uuid_sa) {
-             const { count: rhCount } = await supabase
-             .from("RegistrationHistory")
-             .select("*", { count: "exact", head: true })
-             .eq("uuid_sa", oldRhData.uuid_sa);
-            
-            if (rhCount === 0) {
-                // Delete the orphaned SpecificAircraft
-                await supabase
-                .from("SpecificAircraft")
-                .delete()
-                .eq("uuid", oldRhData.uuid_sa);
-            }
-        }
-      }
-    }
+    // Photo fields, airport, registration change and cleanup of the old
+    // registration all happen in update_photo as one transaction
+    const { error } = await supabase.rpc("update_photo", {
+      p_user_id: req.user.id,
+      p_photo_id: req.params.id,
+      p_photo: {
+        taken_at: taken_at || null,
+        shutter_speed: shutter_speed || null,
+        iso: iso || null,
+        aperture: aperture || null,
+        camera_model: camera_model || null,
+        focal_length: focal_length || null,
+        airport_code: newAirport ? undefined : airport_code,
+        visibility: visibility || null,
+      },
+      p_aircraft: {
+        uuid_rh: uuid_rh || null,
+        uuid_sa: uuid_sa || null,
+        registration: registration || null,
+        aircraft_type_id: aircraft_type_id || null,
+        manufactured_date: manufactured_date || null,
+        airline_code: airline_code || null,
+      },
+      p_new_airport: newAirport,
+    });
 
-    res.json({ message: "Photo updated successfully" });
-  } catch (err) {
-    console.error("Update failed:", err);
-    res.status(500).json({ error: err.message });
-  }
-});
+    if (error) throw fromDbError(error);
+
+    res.json({ message: "Photo updated successfully", warnings });
+  },
+);
 
 module.exports = router;
@@ -0,0 +1,161 @@
+// routes/public.js
+// Unauthenticated, read-only views of shared collections.
+// A profile is visible when the user's profile_visibility is public or
+// unlisted; it only ever lists photos whose own visibility is public.
+// Single photos are reachable by share_id when public or unlisted.
+const express = require("express");
+const router = express.Router();
+const supabase = require("../db");
+const { withImageUrls } = require("../lib/storage");
+const { BASE_SELECT } = require("../lib/photoQuery");
+const validate = require("../middleware/validate");
+const { httpError } = require("../lib/errors");
+const { z, optional, text } = require("../lib/validation");
+
+const SHARED_VISIBILITIES = ["public", "unlisted"];
+
+const usernameParams = z.object({ username: text });
+
+const pageQuery = z.object({
+  page: optional(z.coerce.number().int().min(1)).default(1),
+  limit: optional(z.coerce.number().int().min(1).max(50)).default(9),
+});
+
+const countsQuery = z.object({
+  limit: optional(z.coerce.number().int().min(1).max(100)),
+});
+
+const shareParams = z.object({ shareId: z.uuid() });
+
+// Strips owner-only fields before a photo leaves the API, including the
+// GPS position read from EXIF
+const toPublicPhoto = (photo) => {
+  const { user_id, latitude, longitude, airport_submission_id, ...rest } =
+    withImageUrls(photo);
+  return rest;
+};
+
+/**
+ * Looks up a user whose profile can be shown, or null.
+ */
+const findSharedUser = async (username) => {
+  const { data, error } = await supabase
+    .from("User")
+    .select("id, username, created_at")
+    .eq("username", username)
+    .in("profile_visibility", SHARED_VISIBILITIES)
+    .maybeSingle();
+
+  if (error) throw error;
+  return data;
+};
+
+// Resolves :username into req.profileUser or 404s
+const loadProfile = async (req, res, next) => {
+  const user = await findSharedUser(req.params.username);
+  if (!user) {
+    throw httpError(404, "Profile not found");
+  }
+  req.profileUser = user;
+  next();
+};
+
+router.get(
+  "/users/:username",
+  validate({ params: usernameParams }),
+  loadProfile,
+  async (req, res) => {
+    const { count, error } = await supabase
+      .from("Photo")
+      .select("id", { count: "exact", head: true })
+      .eq("user_id", req.profileUser.id)
+      .eq("visibility", "public");
+
+    if (error) throw error;
+
+    res.json({
+      username: req.profileUser.username,
+      created_at: req.profileUser.created_at,
+      photo_count: count,
+    });
+  },
+);
+
+router.get(
+  "/users/:username/photos",
+  validate({ params: usernameParams, query: pageQuery }),
+  loadProfile,
+  async (req, res) => {
+    const { page, limit } = req.query;
+
+    const from = (page - 1) * limit;
+    const to = from + limit - 1;
+    const { data, error, count } = await supabase
+      .from("Photo")
+      .select(BASE_SELECT, { count: "exact" })
+      .eq("user_id", req.profileUser.id)
+      .eq("visibility", "public")
+      .order("taken_at", { ascending: false })
+      .range(from, to);
+
+    if (error) throw error;
+
+    res.json({
+      data: data.map(toPublicPhoto),
+      meta: {
+        page,
+        limit,
+        total: count,
+        totalPages: Math.ceil(count / limit),
+      },
+    });
+  },
+);
+
+// Counts only cover public photos, like the photo list
+const COUNT_RPCS = {
+  "airline-counts": { rpc: "get_airline_counts_by_user", limit: 10 },
+  "airport-counts": { rpc: "get_airport_counts_by_user", limit: 10 },
+  "manufacturer-counts": { rpc: "get_manufacturer_counts_by_user", limit: 8 },
+};
+
+for (const [path, { rpc, limit }] of Object.entries(COUNT_RPCS)) {
+  router.get(
+    `/users/:username/${path}`,
+    validate({ params: usernameParams, query: countsQuery }),
+    loadProfile,
+    async (req, res) => {
+      const { data, error } = await supabase.rpc(rpc, {
+        p_user_id: req.profileUser.id,
+        p_limit: req.query.limit ?? limit,
+        p_filters: { visibility: "public" },
+      });
+
+      if (error) throw error;
+
+      res.json(data);
+    },
+  );
+}
+
+router.get(
+  "/photos/:shareId",
+  validate({ params: shareParams }),
+  async (req, res) => {
+    const { data, error } = await supabase
+      .from("Photo")
+      .select(`${BASE_SELECT}, User ( username )`)
+      .eq("share_id", req.params.shareId)
+      .in("visibility", SHARED_VISIBILITIES)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      throw httpError(404, "Photo not found");
+    }
+
+    res.json(toPublicPhoto(data));
+  },
+);
+
+module.exports = router;
@@ -8,11 +8,29 @@ const airportRoutes = require("./routes/airports");
 const aircraftTypeRoutes = require("./routes/aircraftTypes");
 const aircraftRoutes = require("./routes/aircraft");
 const airlineRoutes = require("./routes/airline");
+const accountRoutes = require("./routes/account");
+const publicRoutes = require("./routes/public");
+const { mountStatic } = require("./lib/storage");
+const { isImportRequest } = require("./lib/referenceImport");
+const errorHandler = require("./middleware/errorHandler");
+const { notFound } = require("./middleware/errorHandler");
 
 const app = express();
 
+// Behind a reverse proxy, set TRUST_PROXY to the number of proxy hops so
+// req.ip (used by the rate limiters) is the client's address
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseInt(process.env.TRUST_PROXY));
+}
+
 app.use(cors()); // Allow frontend to communicate
-app.use(express.json()); // Parse JSON bodies
+// Parse JSON bodies; reference imports parse their own, larger ones
+app.use(
+  express.json({
+    type: (req) => !isImportRequest(req) && Boolean(req.is("application/json")),
+  }),
+);
+mountStatic(app); // Serve photo files when using the local storage driver
 
 app.use("/api/auth", authRoutes);
 app.use("/api/photos", photoRoutes);
@@ -20,11 +38,17 @@ app.use("/api/airports", airportRoutes);
 app.use("/api/aircraft-types", aircraftTypeRoutes);
 app.use("/api/aircraft", aircraftRoutes);
 app.use("/api/airlines", airlineRoutes);
+app.use("/api/account", accountRoutes);
+app.use("/api/public", publicRoutes);
 
 app.get("/", (req, res) => {
   res.send("Plane Tracker API is running");
 });
 
+// Errors from every route end up here as { error, code, fields? }
+app.use("/api", notFound);
+app.use(errorHandler);
+
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);